@@ -1,216 +1,152 @@
 // Chart Module - Contains all charting functionality
 
-/**
- * Calculate the intrinsic value of an options portfolio at expiration across a range of prices.
- * @param {Array<Object>} optionsPositions - Array of option positions with qty, type, and strike.
- * @param {number} minPrice - The minimum underlying price to calculate.
- * @param {number} maxPrice - The maximum underlying price to calculate.
- * @param {number} priceStep - The increment for each price point in the range.
- * @returns {Array<object>} An array of objects, each with 'closingPrice' and 'totalIntrinsicValue'.
- */
-function calculatePortfolioValueAtExpiration(optionsPositions, minPrice, maxPrice, priceStep) {
-    if (!Array.isArray(optionsPositions) || optionsPositions.length === 0) {
-        throw new Error("optionsPositions must be a non-empty array of option configurations.");
-    }
-
-    const valueCurve = [];
-    
-    // Ensure we have valid range parameters
-    if (minPrice >= maxPrice) {
-        throw new Error("minPrice must be less than maxPrice");
-    }
-    
-    if (priceStep <= 0) {
-        throw new Error("priceStep must be greater than 0");
-    }
-
-    // Generate price points from minPrice to maxPrice with the given step
-    for (let closingPrice = minPrice; closingPrice <= maxPrice; closingPrice += priceStep) {
-        let portfolioTotalIntrinsicValue = 0;
-
-        // Calculate intrinsic value for each option position
-        for (const position of optionsPositions) {
-            const { qty, type, strike } = position;
-            
-            if (type === 'c') { // Call option
-                // Call is worth the difference between underlying price and strike, if positive
-                const callIntrinsicValue = Math.max(0, closingPrice - strike);
-                portfolioTotalIntrinsicValue += callIntrinsicValue * qty * 100; // Multiply by 100 for contract multiplier
-            } else if (type === 'p') { // Put option
-                // Put is worth the difference between strike and underlying price, if positive
-                const putIntrinsicValue = Math.max(0, strike - closingPrice);
-                portfolioTotalIntrinsicValue += putIntrinsicValue * qty * 100; // Multiply by 100 for contract multiplier
-            }
-        }
-
-        valueCurve.push({
-            closingPrice: parseFloat(closingPrice.toFixed(2)),
-            totalIntrinsicValue: parseFloat(portfolioTotalIntrinsicValue.toFixed(2))
-        });
-    }
-  
-    return valueCurve;
-}
-
-/**
- * Find key points on the value curve: local lows, highs, and break-even points.
- * @param {Array<object>} valueCurve - Array of objects with closingPrice and totalIntrinsicValue
- * @param {number} cost - The total cost of the position
- * @returns {Array<object>} Array of key points with type and value information
- */
-function findKeyPointsOnCurve(valueCurve, cost) {
-    if (!Array.isArray(valueCurve) || valueCurve.length < 3) {
-        return [];
-    }
+// Stroke colors for the theoretical (T+N) curves, in the order they are drawn
+const THEORETICAL_CURVE_COLORS = ['#9C27B0', '#FF9800', '#009688', '#795548'];
 
-    const keyPoints = [];
-    let trend = null; // 'up', 'down', or 'flat'
-    let lastNonFlatPoint = null;
-    let flatStartIndex = null;
-
-    // Check the first point - if it's different from the second point, mark it
-    if (valueCurve.length >= 2) {
-        const first = valueCurve[0];
-        const second = valueCurve[1];
-        const firstValue = first.totalIntrinsicValue - cost;
-        const secondValue = second.totalIntrinsicValue - cost;
-        
-        if (firstValue !== secondValue) {
-            keyPoints.push({
-                type: 'curve_endpoint',
-                closingPrice: first.closingPrice,
-                totalIntrinsicValue: first.totalIntrinsicValue,
-                description: 'Curve Start'
-            });
-        }
-    }
-
-    for (let i = 1; i < valueCurve.length - 1; i++) {
-        const prev = valueCurve[i - 1];
-        const current = valueCurve[i];
-        const next = valueCurve[i + 1];
-
-        const prevValue = prev.totalIntrinsicValue - cost;
-        const currentValue = current.totalIntrinsicValue - cost;
-        const nextValue = next.totalIntrinsicValue - cost;
-
-        // Determine current trend
-        let currentTrend;
-        if (currentValue > prevValue) {
-            currentTrend = 'up';
-        } else if (currentValue < prevValue) {
-            currentTrend = 'down';
-        } else {
-            currentTrend = 'flat';
-        }
+// Stroke color for the secondary Greek series
+const GREEK_SERIES_COLOR = '#607D8B';
 
-        // Handle trend changes
-        if (trend !== currentTrend) {
-            if (trend !== 'up' && currentTrend === 'up') {
-                // Low point (trend changes from down to up)
-                keyPoints.push({
-                    type: 'low_point',
-                    closingPrice: prev.closingPrice,
-                    totalIntrinsicValue: prev.totalIntrinsicValue,
-                    description: 'Low point'
-                });
-            } else if (trend !== 'down' && currentTrend === 'down') {
-                // High point (trend changes from up to down)
-                keyPoints.push({
-                    type: 'high_point',
-                    closingPrice: prev.closingPrice,
-                    totalIntrinsicValue: prev.totalIntrinsicValue,
-                    description: 'High point'
-                });
-            } else if (trend === 'flat' && currentTrend !== 'flat') {
-                // Transition from flat to trend - use the last non-flat point as the turning point
-                if (lastNonFlatPoint) {
-                    const pointType = currentTrend === 'up' ? 'low_point' : 'high_point';
-                    const description = currentTrend === 'up' ? 'Low point (after flat)' : 'High point (after flat)';
-                    
-                    keyPoints.push({
-                        type: pointType,
-                        closingPrice: lastNonFlatPoint.closingPrice,
-                        totalIntrinsicValue: lastNonFlatPoint.totalIntrinsicValue,
-                        description: description
-                    });
-                }
-            }
+// Stroke colors for the what-if scenario curves, in input order
+const SCENARIO_COLORS = ['#03A9F4', '#E91E63', '#8BC34A', '#FF5722', '#3F51B5', '#CDDC39'];
 
-            trend = currentTrend;
-        }
+// Most the chart can be zoomed in, as a multiple of its full price range
+const CHART_MAX_ZOOM = 50;
 
-         // Check for zero crossing (profit/loss crosses zero)
-        if ((prevValue < 0 && currentValue >= 0) || (prevValue > 0 && currentValue <= 0)) {
-            keyPoints.push({
-                type: 'zero_crossing',
-                closingPrice: current.closingPrice,
-                totalIntrinsicValue: current.totalIntrinsicValue,
-                description: 'Break-even'
-            });
-        }
-
-        // Track the last non-flat point
-        if (currentTrend !== 'flat') {
-            lastNonFlatPoint = current;
-        }
-    }
-
-    // Check the last point - if it's different from the second-to-last point, mark it
-    if (valueCurve.length >= 2) {
-        const last = valueCurve[valueCurve.length - 1];
-        const secondLast = valueCurve[valueCurve.length - 2];
-        const lastValue = last.totalIntrinsicValue - cost;
-        const secondLastValue = secondLast.totalIntrinsicValue - cost;
-        
-        if (lastValue !== secondLastValue) {
-            keyPoints.push({
-                type: 'curve_endpoint',
-                closingPrice: last.closingPrice,
-                totalIntrinsicValue: last.totalIntrinsicValue,
-                description: 'Curve End'
-            });
-        }
-    }
+// Every series drawn on the last chart, with its stroke, for the chart's legend and that of exported images
+let chartLegendItems = [];
 
-    return keyPoints;
-}
+// The last chart drawn, kept so it can be redrawn as it is zoomed and panned
+let chartState = null;
 
 /**
  * Draw the portfolio value chart using D3.js
  * @param {Array} data - The portfolio value data
  * @param {number} cost - The cost basis
  * @param {Array} optionArray - Array of option positions for labeling
- * @param {Array} tempData - Optional temporary data for comparison
+ * @param {Array} tempData - Optional temporary data for comparison, drawn as the scenario named temp
+ * @param {Object} chartOptions - Optional extras: scenarios is an array of { name, data, color } what-if curves,
+ *   each drawn dashed with its own key points (color defaults to SCENARIO_COLORS by position), and replaces tempData,
+ *   theoreticalCurves is an array of { label, data } T+N curves,
+ *   greekSeries is a { name, data } Greek curve drawn against a secondary axis,
+ *   distribution is an array of { closingPrice, density } shaded along the bottom of the chart,
+ *   currentPrice and currentValue place a "now" marker at the live underlying price and position value,
+ *   payoffSummary is the exact expiration payoff from solveExpirationPayoff, marked with its break-evens
+ *   and its max profit and loss levels,
+ *   priceRange is the [min, max] price range the chart zooms and pans within, by default that of data,
+ *   onZoom is called with the [min, max] prices shown when a zoom or pan ends, or null when the zoom is reset,
+ *   so the curves can be recalculated for that range; without it the drawn curves are stretched,
+ *   getLegValues is called with a price and returns [{ label, value }] for the legs in the hover breakdown,
+ *   contributions is { mode ('separate' or 'stacked'), series: [{ label, color }], data: [{ closingPrice, values }] }
+ *   with each series' share of the expiration value, drawn as lines of their own or stacked into the total,
+ *   selectedPrice is marked on the chart, and onSelectPrice is called with the price where the chart is clicked
+ */
+function drawChart(data, cost, optionArray = [], tempData = [], chartOptions = {}) {
+    const xDomain = d3.extent(data, d => d.closingPrice);
+    chartState = {
+        data,
+        cost,
+        optionArray,
+        tempData,
+        chartOptions,
+        priceRange: chartOptions.priceRange || xDomain
+    };
+    renderChart(xDomain);
+    bindChartZoom(xDomain);
+}
+
+/**
+ * Draw the last chart passed to drawChart over a range of prices.
+ * @param {Array<number>} xDomain - The [min, max] prices shown.
  */
-function drawChart(data, cost, optionArray = [], tempData = []) {
+function renderChart(xDomain) {
+    const { data, cost, optionArray, tempData, chartOptions, priceRange } = chartState;
+    const theoreticalCurves = chartOptions.theoreticalCurves || [];
+    const greekSeries = chartOptions.greekSeries || null;
+    const distribution = chartOptions.distribution || [];
+    const currentPrice = chartOptions.currentPrice ?? null;
+    const currentValue = chartOptions.currentValue ?? null;
+    const payoffSummary = chartOptions.payoffSummary || null;
+    const contributions = chartOptions.contributions || null;
+    const selectedPrice = chartOptions.selectedPrice ?? null;
+    const scenarios = (chartOptions.scenarios || (tempData.length > 0 ? [{ name: 'temp', data: tempData }] : []))
+        .map((scenario, index) => ({ ...scenario, color: scenario.color || SCENARIO_COLORS[index % SCENARIO_COLORS.length] }));
+
     // Clear previous chart
     d3.select("#chart").selectAll("*").remove();
+
+    chartLegendItems = [{ label: 'Expiry', color: 'steelblue' }]
+        .concat(scenarios.map(scenario => ({ label: `Expiry with ${scenario.name}`, color: scenario.color, dash: '5,5' })))
+        .concat(theoreticalCurves.map((curve, index) => ({
+            label: curve.label,
+            color: THEORETICAL_CURVE_COLORS[index % THEORETICAL_CURVE_COLORS.length]
+        })))
+        .concat(greekSeries ? [{ label: greekSeries.name, color: GREEK_SERIES_COLOR, dash: '2,2' }] : [])
+        .concat(contributions ? contributions.series.map(series => ({ label: series.label, color: series.color })) : [])
+        .concat([{ label: 'Cost', color: 'red', dash: '3,3' }]);
     
     // Find key points for main curve
-    const keyPoints = findKeyPointsOnCurve(data, cost);
+    const keyPoints = OptionEngine.findKeyPointsOnCurve(data, cost);
     
-    // Find key points for temp curve if it exists
-    const tempKeyPoints = tempData.length > 0 ? findKeyPointsOnCurve(tempData, cost) : [];
+    // Find key points for each scenario curve
+    const scenarioKeyPoints = scenarios.flatMap(scenario => OptionEngine.findKeyPointsOnCurve(scenario.data, cost)
+        .map(point => ({ ...point, color: scenario.color })));
     
-    const margin = { top: 30, right: 30, bottom: 60, left: 60 };
+    const margin = { top: 30, right: greekSeries ? 60 : 30, bottom: 60, left: 60 };
     const width = document.getElementById('chart').offsetWidth - margin.left - margin.right;
     const height = document.getElementById('chart').offsetHeight - margin.top - margin.bottom;
+    chartState.layout = { margin, width, height };
 
-    const svg = d3.select("#chart")
+    const frame = d3.select("#chart")
         .append("svg")
         .attr("width", width + margin.left + margin.right)
         .attr("height", height + margin.top + margin.bottom)
         .append("g")
         .attr("transform", `translate(${margin.left},${margin.top})`);
 
+    // Curves and markers are clipped to the plot's width, so they stay between the axes when zoomed
+    frame.append("defs")
+        .append("clipPath")
+        .attr("id", "chart-clip")
+        .append("rect")
+        .attr("y", -margin.top)
+        .attr("width", width)
+        .attr("height", height + margin.top + margin.bottom);
+
+    const svg = frame.append("g")
+        .attr("clip-path", "url(#chart-clip)");
+
+    // Catch the pointer anywhere on the plot, not only over what is drawn
+    svg.append("rect")
+        .attr("class", "chart-overlay")
+        .attr("width", width)
+        .attr("height", height)
+        .attr("fill", "none")
+        .attr("pointer-events", "all");
+
     // Calculate the min and max of totalIntrinsicValue from data
     const minIntrinsicValue = d3.min(data, d => d.totalIntrinsicValue);
     const maxIntrinsicValue = d3.max(data, d => d.totalIntrinsicValue);
 
+    // Include the theoretical and scenario curves so they are not clipped
+    const theoreticalValues = theoreticalCurves.flatMap(curve => curve.data.map(d => d.totalTheoreticalValue));
+    const scenarioValues = scenarios.flatMap(scenario => scenario.data.map(d => d.totalIntrinsicValue));
+
+    // Stack the contributions, positive values up from zero and negative ones down, so they add up to the total
+    const contributionLayers = contributions && contributions.mode === 'stacked' ?
+        d3.stack()
+            .keys(contributions.series.map((series, index) => index))
+            .value((point, index) => point.values[index])
+            .offset(d3.stackOffsetDiverging)(contributions.data) : [];
+    const contributionValues = !contributions ? [] : contributions.mode === 'stacked' ?
+        contributionLayers.flatMap(layer => layer.flatMap(d => [d[0], d[1]])) :
+        contributions.data.flatMap(point => point.values);
+
+    // Include the live position value so the "now" marker stays on the chart
+    const currentValues = currentValue != null ? [currentValue] : [];
+
     // Determine the overall min and max for the Y-axis domain, including the cost
-    const overallMinY = Math.min(minIntrinsicValue, cost);
-    const overallMaxY = Math.max(maxIntrinsicValue, cost);
+    const overallMinY = Math.min(minIntrinsicValue, cost, ...theoreticalValues, ...scenarioValues, ...contributionValues, ...currentValues);
+    const overallMaxY = Math.max(maxIntrinsicValue, cost, ...theoreticalValues, ...scenarioValues, ...contributionValues, ...currentValues);
     
     // Calculate 10% of the range for padding
     const yRange = overallMaxY - overallMinY;
@@ -218,7 +154,7 @@ function drawChart(data, cost, optionArray = [], tempData = []) {
 
     // Create scales
     const xScale = d3.scaleLinear()
-        .domain(d3.extent(data, d => d.closingPrice))
+        .domain(xDomain)
         .range([0, width]);
 
     const yScale = d3.scaleLinear()
@@ -231,15 +167,70 @@ function drawChart(data, cost, optionArray = [], tempData = []) {
         .y(d => yScale(d.totalIntrinsicValue))
         .curve(d3.curveMonotoneX);
 
-    // Add X axis
-    svg.append("g")
+    // Shade the terminal price distribution along the bottom quarter of the chart
+    if (distribution.length > 0) {
+        const densityScale = d3.scaleLinear()
+            .domain([0, d3.max(distribution, d => d.density) || 1])
+            .range([height, height * 0.75]);
+
+        const densityArea = d3.area()
+            .x(d => xScale(d.closingPrice))
+            .y0(height)
+            .y1(d => densityScale(d.density))
+            .curve(d3.curveMonotoneX);
+
+        svg.append("path")
+            .datum(distribution)
+            .attr("class", "distribution-area")
+            .attr("fill", "#90A4AE")
+            .attr("opacity", 0.3)
+            .attr("d", densityArea);
+    }
+
+    // Add X axis, with cents once it is zoomed in past whole dollars
+    const priceFormat = xDomain[1] - xDomain[0] < 10 ? ".2f" : ".0f";
+    frame.append("g")
         .attr("transform", `translate(0,${height})`)
-        .call(d3.axisBottom(xScale).tickFormat(d3.format(".0f")));
+        .call(d3.axisBottom(xScale).tickFormat(d3.format(priceFormat)));
 
     // Add Y axis
-    svg.append("g")
+    frame.append("g")
         .call(d3.axisLeft(yScale).tickFormat(d3.format("$.0f")));
 
+    // Draw each leg's or trade's share of the value under the total, as stacked areas or lines of their own
+    if (contributions && contributions.mode === 'stacked') {
+        const contributionArea = d3.area()
+            .x(d => xScale(d.data.closingPrice))
+            .y0(d => yScale(d[0]))
+            .y1(d => yScale(d[1]))
+            .curve(d3.curveMonotoneX);
+
+        contributionLayers.forEach((layer, index) => {
+            svg.append("path")
+                .datum(layer)
+                .attr("class", "contribution-area")
+                .attr("fill", contributions.series[index].color)
+                .attr("opacity", 0.35)
+                .attr("d", contributionArea);
+        });
+    } else if (contributions) {
+        contributions.series.forEach((series, index) => {
+            const contributionLine = d3.line()
+                .x(d => xScale(d.closingPrice))
+                .y(d => yScale(d.values[index]))
+                .curve(d3.curveMonotoneX);
+
+            svg.append("path")
+                .datum(contributions.data)
+                .attr("class", "contribution-line")
+                .attr("fill", "none")
+                .attr("stroke", series.color)
+                .attr("stroke-width", 1.25)
+                .attr("opacity", 0.8)
+                .attr("d", contributionLine);
+        });
+    }
+
     // Add main portfolio line
     svg.append("path")
         .datum(data)
@@ -248,27 +239,108 @@ function drawChart(data, cost, optionArray = [], tempData = []) {
         .attr("stroke-width", 2)
         .attr("d", line);
 
-    // Add temp portfolio line if it exists
-    if (tempData.length > 0) {
-        const tempLine = d3.line()
+    // Add a dashed line for each scenario
+    scenarios.forEach(scenario => {
+        svg.append("path")
+            .datum(scenario.data)
+            .attr("class", "scenario-line")
+            .attr("fill", "none")
+            .attr("stroke", scenario.color)
+            .attr("stroke-width", 2)
+            .attr("stroke-dasharray", "5,5")
+            .attr("d", line);
+    });
+
+    // Add theoretical (T+N) value curves
+    theoreticalCurves.forEach((curve, index) => {
+        const theoreticalLine = d3.line()
             .x(d => xScale(d.closingPrice))
-            .y(d => yScale(d.totalIntrinsicValue))
+            .y(d => yScale(d.totalTheoreticalValue))
             .curve(d3.curveMonotoneX);
 
         svg.append("path")
-            .datum(tempData)
+            .datum(curve.data)
+            .attr("class", "theoretical-line")
             .attr("fill", "none")
-            .attr("stroke", "lightblue")
-            .attr("stroke-width", 2)
-            .attr("stroke-dasharray", "5,5")
-            .attr("d", tempLine);
+            .attr("stroke", THEORETICAL_CURVE_COLORS[index % THEORETICAL_CURVE_COLORS.length])
+            .attr("stroke-width", 1.5)
+            .attr("d", theoreticalLine);
+    });
+
+    // Add the Greek series against its own axis on the right
+    if (greekSeries) {
+        const greekExtent = d3.extent(greekSeries.data, d => d[greekSeries.name]);
+        const greekPadding = (greekExtent[1] - greekExtent[0]) * 0.1 || 1;
+        const greekScale = d3.scaleLinear()
+            .domain([Math.min(0, greekExtent[0]) - greekPadding, Math.max(0, greekExtent[1]) + greekPadding])
+            .range([height, 0]);
+
+        frame.append("g")
+            .attr("transform", `translate(${width},0)`)
+            .call(d3.axisRight(greekScale).ticks(6).tickFormat(d3.format("~s")));
+
+        // Zero line, so it's easy to see where the position flips sign
+        svg.append("line")
+            .attr("x1", 0)
+            .attr("y1", greekScale(0))
+            .attr("x2", width)
+            .attr("y2", greekScale(0))
+            .attr("stroke", GREEK_SERIES_COLOR)
+            .attr("stroke-width", 0.5)
+            .attr("opacity", 0.5);
+
+        const greekLine = d3.line()
+            .x(d => xScale(d.closingPrice))
+            .y(d => greekScale(d[greekSeries.name]))
+            .curve(d3.curveMonotoneX);
+
+        svg.append("path")
+            .datum(greekSeries.data)
+            .attr("class", "greek-line")
+            .attr("fill", "none")
+            .attr("stroke", GREEK_SERIES_COLOR)
+            .attr("stroke-width", 1.5)
+            .attr("stroke-dasharray", "2,2")
+            .attr("d", greekLine);
+    }
+
+    // Add a legend when more than the expiration curve and the cost line are shown
+    if (chartLegendItems.length > 2) {
+        const legend = frame.append("g")
+            .attr("class", "chart-legend")
+            .attr("transform", "translate(10, -20)");
+
+        // Scenario names can be long, so each item takes the room its label needs
+        let legendX = 0;
+        chartLegendItems.forEach(item => {
+            const legendItem = legend.append("g")
+                .attr("transform", `translate(${legendX}, 0)`);
+            legendX += Math.max(70, 30 + item.label.length * 6);
+
+            legendItem.append("line")
+                .attr("x1", 0)
+                .attr("x2", 16)
+                .attr("y1", 0)
+                .attr("y2", 0)
+                .attr("stroke", item.color)
+                .attr("stroke-width", 2)
+                .attr("stroke-dasharray", item.dash || null);
+
+            legendItem.append("text")
+                .attr("x", 20)
+                .attr("y", 0)
+                .attr("dominant-baseline", "middle")
+                .style("font-size", "10px")
+                .style("fill", "#333")
+                .text(item.label);
+        });
     }
 
     // Add a horizontal line for the cost
     svg.append("line")
-        .attr("x1", xScale(d3.min(data, d => d.closingPrice)))
+        .attr("x1", 0)
         .attr("y1", yScale(cost))
-        .attr("x2", xScale(d3.max(data, d => d.closingPrice)))
+        .attr("x2", width)
         .attr("y2", yScale(cost))
         .attr("stroke", "red")
         .attr("stroke-width", 1.5)
@@ -276,16 +348,17 @@ function drawChart(data, cost, optionArray = [], tempData = []) {
 
     // Add circles for each option in the optionArray
     if (optionArray && optionArray.length > 0) {
-      // Filter out standalone cost adjustments (where type is null or qty is 0)
-      const realOptions = optionArray.filter(option => option.type && option.strike !== null && option.qty !== 0);
+      // Filter out standalone cost adjustments (where type is null or qty is 0) and underlying legs
+      const realOptions = optionArray.filter(option => option.type && !OptionEngine.isUnderlyingPosition(option) && option.strike !== null && option.qty !== 0);
       
-      // First, group the options by strike and type
+      // First, group the options by strike, type and expiration
       const groupedOptions = realOptions.reduce((acc, option) => {
-        const key = `${option.type}${option.strike}`;
+        const key = `${option.type}${option.strike}${option.expiration || ''}`;
         if (!acc[key]) {
           acc[key] = {
             type: option.type,
             strike: option.strike,
+            expiration: option.expiration || null,
             totalQty: 0,
             positions: []
           };
@@ -295,27 +368,36 @@ function drawChart(data, cost, optionArray = [], tempData = []) {
         return acc;
       }, {});
 
-      // Convert to array and sort by strike
-      const uniqueOptions = Object.values(groupedOptions).sort((a, b) => a.strike - b.strike);
+      // Convert to array and sort by strike, then expiration
+      const uniqueOptions = Object.values(groupedOptions)
+        .sort((a, b) => a.strike - b.strike || (a.expiration || '').localeCompare(b.expiration || ''));
+
+      // Stack markers that share a strike and type (calendars, diagonals) instead of drawing them on top of each other
+      const markerStackCounts = {};
 
       // Add circles for each unique option
       if (uniqueOptions.length > 0) {
         uniqueOptions.forEach(option => {
         const isLong = option.totalQty >= 0;
         const isPuts = option.type === 'p';
+        const stackKey = `${option.type}${option.strike}`;
+        const stackIndex = markerStackCounts[stackKey] || 0;
+        markerStackCounts[stackKey] = stackIndex + 1;
+        const markerY = stackIndex * (isPuts ? 16 : -16); // Stack away from the strike label
+        const expirationText = option.expiration ? ` exp ${option.expiration}` : '';
         
         svg.append("circle")
           .attr("cx", xScale(option.strike))
-          .attr("cy", 0) // Place at y=0 (intrinsic value = 0)
+          .attr("cy", markerY) // Place at y=0 (intrinsic value = 0)
           .attr("r", 7)
           .attr("fill", isLong ? "#4CAF50" : "#F44336")
           .append("title")
-          .text(`${option.totalQty > 0 ? 'Long' : 'Short'} ${option.totalQty} ${option.type.toUpperCase()} @ $${option.strike}`);
+          .text(`${option.totalQty > 0 ? 'Long' : 'Short'} ${option.totalQty} ${option.type.toUpperCase()} @ $${option.strike}${expirationText}`);
 
         // Add quantity label
         svg.append("text")
           .attr("x", xScale(option.strike))
-          .attr("y", 1)
+          .attr("y", markerY + 1)
           .attr("text-anchor", "middle")
           .attr("dominant-baseline", "middle")
           .style("font-weight", "bold")
@@ -323,7 +405,10 @@ function drawChart(data, cost, optionArray = [], tempData = []) {
           .style("fill", "#fff")
           .text(d => `${Math.abs(option.totalQty)}${option.type.toUpperCase()}`);
 
-        // Add strike price - position based on option type
+        // Add strike price once per strike - position based on option type
+        if (stackIndex > 0) {
+          return;
+        }
         svg.append("text")
           .attr("x", xScale(option.strike))
           .attr("y", isPuts ? -9 : 16) // Above for calls, below for puts
@@ -336,6 +421,35 @@ function drawChart(data, cost, optionArray = [], tempData = []) {
       }
     }
 
+    // Add a diamond for the shares and futures legs at their average entry price
+    const underlyingLegs = (optionArray || []).filter(option => OptionEngine.isUnderlyingPosition(option) && option.qty !== 0 && option.entryPrice != null);
+    ['s', 'f'].forEach(type => {
+      const legs = underlyingLegs.filter(option => option.type === type);
+      const totalQty = d3.sum(legs, option => option.qty);
+      if (legs.length === 0 || totalQty === 0) {
+        return;
+      }
+
+      const averageEntryPrice = d3.sum(legs, option => option.qty * option.entryPrice) / totalQty;
+      const x = xScale(averageEntryPrice);
+
+      svg.append("path")
+        .attr("d", `M ${x},-9 L ${x + 9},0 L ${x},9 L ${x - 9},0 Z`)
+        .attr("fill", totalQty > 0 ? "#4CAF50" : "#F44336")
+        .append("title")
+        .text(`${totalQty > 0 ? 'Long' : 'Short'} ${totalQty} ${type === 's' ? 'shares' : 'futures'} @ $${averageEntryPrice.toFixed(2)}`);
+
+      svg.append("text")
+        .attr("x", x)
+        .attr("y", 1)
+        .attr("text-anchor", "middle")
+        .attr("dominant-baseline", "middle")
+        .style("font-weight", "bold")
+        .style("font-size", "7px")
+        .style("fill", "#fff")
+        .text(`${Math.abs(totalQty)}${type.toUpperCase()}`);
+    });
+
     // Add key points markers for main curve
     if (keyPoints.length > 0) {
         const keyPointMarkers = svg.append("g")
@@ -394,49 +508,39 @@ function drawChart(data, cost, optionArray = [], tempData = []) {
             .text(d => `$${d.closingPrice.toFixed(0)}`);
     }
 
-    // Add key points markers for temp curve if it exists
-    if (tempKeyPoints.length > 0) {
-        const tempKeyPointMarkers = svg.append("g")
-            .selectAll(".temp-key-point")
-            .data(tempKeyPoints)
+    // Add key points markers for the scenario curves, in each scenario's color
+    if (scenarioKeyPoints.length > 0) {
+        const scenarioKeyPointMarkers = svg.append("g")
+            .selectAll(".scenario-key-point")
+            .data(scenarioKeyPoints)
             .enter()
             .append("g")
-            .attr("class", "temp-key-point");
+            .attr("class", "scenario-key-point");
 
-        // Add markers for temp curve (lighter colors)
-        tempKeyPointMarkers.append("path")
+        // The marker shape gives the kind of point, as on the main curve
+        scenarioKeyPointMarkers.append("path")
             .attr("d", d => {
                 const x = xScale(d.closingPrice);
                 const y = yScale(d.totalIntrinsicValue);
                 
                 if (d.type === 'low_point') {
-                    // Light green triangle pointing up (in SVG coordinates, this means negative Y offset)
                     return `M ${x},${y - 8} L ${x - 6},${y + 4} L ${x + 6},${y + 4} Z`;
                 } else if (d.type === 'high_point') {
-                    // Light red triangle pointing down (in SVG coordinates, this means positive Y offset)
                     return `M ${x},${y + 8} L ${x - 6},${y - 4} L ${x + 6},${y - 4} Z`;
                 } else if (d.type === 'zero_crossing') {
-                    // Light gray circle
                     return `M ${x + 6},${y} A 6,6 0 0,0 ${x - 6},${y} A 6,6 0 0,0 ${x + 6},${y} Z`;
                 } else if (d.type === 'curve_endpoint') {
-                    // Light orange square for curve endpoints
                     return `M ${x - 6},${y - 6} L ${x + 6},${y - 6} L ${x + 6},${y + 6} L ${x - 6},${y + 6} Z`;
                 }
                 return '';
             })
-            .attr("fill", d => {
-                if (d.type === 'low_point') return '#81C784';
-                if (d.type === 'high_point') return '#EF9A9A';
-                if (d.type === 'zero_crossing') return '#A0A0A0';
-                if (d.type === 'curve_endpoint') return '#FFCC80'; // Light orange
-                return '#999';
-            })
+            .attr("fill", d => d.color)
             .attr("stroke", "white")
             .attr("stroke-width", 1)
             .attr("opacity", 0.8);
 
-        // Add labels for temp key points
-        tempKeyPointMarkers.append("text")
+        // Add labels for the scenario key points
+        scenarioKeyPointMarkers.append("text")
             .attr("x", d => xScale(d.closingPrice))
             .attr("y", d => {
                 const y = yScale(d.totalIntrinsicValue);
@@ -453,90 +557,415 @@ function drawChart(data, cost, optionArray = [], tempData = []) {
             .text(d => `$${d.closingPrice.toFixed(0)}`);
     }
 
+    const [minClosingPrice, maxClosingPrice] = xScale.domain();
+
+    // Mark the exact break-evens, and the max profit and loss levels or an arrow where they're unlimited
+    if (payoffSummary) {
+        const payoffMarkers = svg.append("g")
+            .attr("class", "payoff-markers");
+
+        payoffSummary.breakEvens
+            .filter(price => price >= minClosingPrice && price <= maxClosingPrice)
+            .forEach(price => {
+                payoffMarkers.append("line")
+                    .attr("x1", xScale(price))
+                    .attr("y1", 0)
+                    .attr("x2", xScale(price))
+                    .attr("y2", height)
+                    .attr("stroke", "#808080")
+                    .attr("stroke-width", 1)
+                    .attr("stroke-dasharray", "1,3");
+
+                payoffMarkers.append("text")
+                    .attr("x", xScale(price))
+                    .attr("y", 10)
+                    .attr("text-anchor", "middle")
+                    .style("font-size", "10px")
+                    .style("fill", "#555")
+                    .text(`BE $${price.toFixed(2)}`);
+            });
+
+        const [minValue, maxValue] = yScale.domain();
+        [
+            { extreme: payoffSummary.maxProfit, label: 'Max profit', color: '#4CAF50' },
+            { extreme: payoffSummary.maxLoss, label: 'Max loss', color: '#F44336' }
+        ].forEach(({ extreme, label, color }) => {
+            if (extreme.unlimited) {
+                const rising = payoffSummary.slope > 0;
+                payoffMarkers.append("text")
+                    .attr("x", width - 4)
+                    .attr("y", rising ? 24 : height - 20)
+                    .attr("text-anchor", "end")
+                    .style("font-size", "10px")
+                    .style("font-weight", "bold")
+                    .style("fill", color)
+                    .text(`Unlimited ${label === 'Max profit' ? 'profit' : 'loss'} ${rising ? '\u2197' : '\u2198'}`);
+                return;
+            }
+
+            const value = cost + extreme.value;
+            if (value < minValue || value > maxValue) {
+                return;
+            }
+            payoffMarkers.append("line")
+                .attr("x1", 0)
+                .attr("y1", yScale(value))
+                .attr("x2", width)
+                .attr("y2", yScale(value))
+                .attr("stroke", color)
+                .attr("stroke-width", 0.75)
+                .attr("stroke-dasharray", "8,4")
+                .attr("opacity", 0.7);
+
+            payoffMarkers.append("text")
+                .attr("x", width - 4)
+                .attr("y", yScale(value) + (label === 'Max profit' ? -4 : 12))
+                .attr("text-anchor", "end")
+                .style("font-size", "10px")
+                .style("fill", color)
+                .text(`${label} ${extreme.value >= 0 ? '+' : '-'}$${Math.abs(extreme.value).toFixed(2)}`);
+        });
+    }
+    // Mark the live underlying price, with the position's current mid value when it is known
+    if (currentPrice != null && currentPrice >= minClosingPrice && currentPrice <= maxClosingPrice) {
+        const nowMarker = svg.append("g")
+            .attr("class", "now-marker");
+
+        nowMarker.append("line")
+            .attr("x1", xScale(currentPrice))
+            .attr("y1", height)
+            .attr("x2", xScale(currentPrice))
+            .attr("y2", 0)
+            .attr("stroke", "#2196F3")
+            .attr("stroke-width", 1.5)
+            .attr("stroke-dasharray", "6,3");
+
+        let label = `Now $${currentPrice.toFixed(2)}`;
+        if (currentValue != null) {
+            const profitLoss = currentValue - cost;
+            label += ` ${profitLoss >= 0 ? '+' : '-'}$${Math.abs(profitLoss).toFixed(2)}`;
+
+            nowMarker.append("circle")
+                .attr("cx", xScale(currentPrice))
+                .attr("cy", yScale(currentValue))
+                .attr("r", 5)
+                .attr("fill", "#2196F3")
+                .attr("stroke", "white")
+                .attr("stroke-width", 1.5);
+        }
+
+        nowMarker.append("text")
+            .attr("x", xScale(currentPrice) + 4)
+            .attr("y", height - 6)
+            .style("font-size", "10px")
+            .style("font-weight", "bold")
+            .style("fill", "#2196F3")
+            .text(label);
+    }
+
+    // Mark the price picked for the contribution table
+    if (selectedPrice != null && selectedPrice >= minClosingPrice && selectedPrice <= maxClosingPrice) {
+        const selectedMarker = svg.append("g")
+            .attr("class", "selected-price");
+
+        selectedMarker.append("line")
+            .attr("x1", xScale(selectedPrice))
+            .attr("y1", 0)
+            .attr("x2", xScale(selectedPrice))
+            .attr("y2", height)
+            .attr("stroke", "#555")
+            .attr("stroke-width", 1);
+
+        selectedMarker.append("text")
+            .attr("x", xScale(selectedPrice) + 4)
+            .attr("y", 22)
+            .style("font-size", "10px")
+            .style("fill", "#555")
+            .text(`$${selectedPrice.toFixed(2)}`);
+    }
+
     // Add a group for the interactive elements (drawn last to appear on top)
-    const interactionGroup = svg.append("g");
+    const interactionGroup = svg.append("g")
+        .attr("class", "crosshair")
+        .style("display", "none");
+
+    const crosshairX = interactionGroup.append("line")
+        .attr("y1", 0)
+        .attr("y2", height);
+    const crosshairY = interactionGroup.append("line")
+        .attr("x1", 0)
+        .attr("x2", width);
+    const crosshairPoint = interactionGroup.append("circle")
+        .attr("r", 4)
+        .attr("fill", "steelblue")
+        .attr("stroke", "white")
+        .attr("stroke-width", 1.5);
+
+    const tooltip = d3.select("#chart")
+        .append("div")
+        .attr("class", "chart-tooltip")
+        .style("display", "none");
+
+    // Every curve's value at a price, for the hover breakdown
+    const hoverCurves = [{ label: 'Expiry', color: 'steelblue', data, valueKey: 'totalIntrinsicValue' }]
+        .concat(scenarios.map(scenario => ({ label: scenario.name, color: scenario.color, data: scenario.data, valueKey: 'totalIntrinsicValue' })))
+        .concat(theoreticalCurves.map((curve, index) => ({
+            label: curve.label,
+            color: THEORETICAL_CURVE_COLORS[index % THEORETICAL_CURVE_COLORS.length],
+            data: curve.data,
+            valueKey: 'totalTheoreticalValue'
+        })));
+
+    const formatDollars = value => `${value < 0 ? '-' : ''}$${Math.abs(value).toFixed(2)}`;
+    const formatProfitLoss = value => `${value >= 0 ? '+' : '-'}$${Math.abs(value).toFixed(2)}`;
+
+    // Follow the pointer with a crosshair, and break the value at that price down by curve and by leg
+    function showCrosshair(event) {
+        const pointer = event.type.includes('touch') ? event.changedTouches[0] : event;
+        const [xCoord, yCoord] = d3.pointer(pointer, svg.node());
+        const price = xScale.invert(xCoord);
+        const value = interpolateCurveValue(data, 'totalIntrinsicValue', price);
+        if (xCoord < 0 || xCoord > width || value === null) {
+            hideCrosshair();
+            return;
+        }
 
-    // Function to handle both touch and mouse events
-    function handlePointerEvent(event) {
-        event.preventDefault(); // Prevent default touch behavior
-        const touch = event.type.includes('touch') ? event.changedTouches[0] : event;
-        const [xCoord] = d3.pointer(touch, this);
-        
-        // Remove any existing vertical line and label
-        interactionGroup.selectAll(".vertical-line, .chart-label, .chart-label-bg").remove();
-        
-        // Find the closest data point to the x-coordinate
-        const bisectDate = d3.bisector(d => d.closingPrice).left;
-        const x0 = xScale.invert(xCoord);
-        const i = bisectDate(data, x0, 1);
-        const d0 = data[i - 1];
-        const d1 = data[i];
-        const d = x0 - d0.closingPrice > d1.closingPrice - x0 ? d1 : d0;
-        
-        // Add vertical line
-        interactionGroup.append("line")
-            .attr("class", "vertical-line")
-            .attr("x1", xScale(d.closingPrice))
-            .attr("y1", yScale.range()[0])
-            .attr("x2", xScale(d.closingPrice))
-            .attr("y2", yScale.range()[1])
-            .attr("stroke", "#87CEEB")
-            .attr("stroke-width", 1)
-            .attr("stroke-dasharray", "3,3");
-        
-        // Calculate profit/loss
-        const profitLoss = d.totalIntrinsicValue - cost;
-        const profitLossText = profitLoss >= 0 ? `+$${profitLoss.toFixed(2)}` : `-$${Math.abs(profitLoss).toFixed(2)}`;
-        const profitLossColor = profitLoss >= 0 ? '#4CAF50' : '#F44336';
-        
-        const labelText = `$${d.totalIntrinsicValue.toFixed(2)}\n${profitLossText}`;
-        const labelX = xScale(d.closingPrice);
-        const labelY = yScale(d.totalIntrinsicValue) - 10;
-        
-        // Add background rectangle first
-        const textElement = interactionGroup.append("text")
-            .attr("class", "chart-label")
-            .attr("x", labelX)
-            .attr("y", labelY)
-            .attr("text-anchor", "middle")
-            .attr("alignment-baseline", "middle")
-            .text(labelText);
-        
-        // Add profit/loss styling with tspan
-        const lines = labelText.split('\n');
-        textElement.text(''); // Clear the text
-        
-        lines.forEach((line, index) => {
-          const tspan = textElement.append("tspan")
-              .attr("x", labelX)
-              .attr("dy", index === 0 ? "0" : "1.2em")
-              .text(line);
-          
-          if (index === 1) {
-            tspan.attr("fill", profitLossColor).attr("font-size", "12px");
-          }
+        interactionGroup.style("display", null);
+        crosshairX.attr("x1", xCoord).attr("x2", xCoord);
+        crosshairY.attr("y1", yCoord).attr("y2", yCoord);
+        crosshairPoint.attr("cx", xCoord).attr("cy", yScale(value));
+
+        const curveRows = hoverCurves
+            .map(curve => ({ ...curve, value: interpolateCurveValue(curve.data, curve.valueKey, price) }))
+            .filter(curve => curve.value !== null)
+            .map(curve => `<tr><td><span class="chart-tooltip-swatch" style="background:${curve.color}"></span>${escapeChartText(curve.label)}</td>` +
+                `<td>${formatDollars(curve.value)}</td><td class="${curve.value >= cost ? 'profit' : 'loss'}">${formatProfitLoss(curve.value - cost)}</td></tr>`);
+        const legRows = (chartOptions.getLegValues ? chartOptions.getLegValues(price) : [])
+            .map(leg => `<tr><td>${escapeChartText(leg.label)}</td><td>${formatDollars(leg.value)}</td><td></td></tr>`);
+
+        tooltip
+            .style("display", null)
+            .html(`<strong>$${price.toFixed(2)}</strong>` +
+                `<table>${curveRows.join('')}${legRows.length > 0 ? `<tr><th colspan="3">Legs (expiry)</th></tr>${legRows.join('')}` : ''}</table>`);
+
+        // Keep the tooltip beside the pointer, on whichever side has room
+        const tooltipNode = tooltip.node();
+        const left = margin.left + xCoord + 12;
+        tooltip
+            .style("left", `${left + tooltipNode.offsetWidth > width + margin.left ? left - tooltipNode.offsetWidth - 24 : left}px`)
+            .style("top", `${Math.max(0, margin.top + yCoord - tooltipNode.offsetHeight / 2)}px`);
+    }
+
+    function hideCrosshair() {
+        interactionGroup.style("display", "none");
+        tooltip.style("display", "none");
+    }
+
+    svg.on("mousemove", showCrosshair)
+       .on("mouseleave", hideCrosshair)
+       .on("touchstart", showCrosshair)
+       .on("touchmove", showCrosshair);
+
+    // Clicking or tapping picks a price; zoom drags don't count as clicks
+    if (chartOptions.onSelectPrice) {
+        svg.on("click", event => {
+            const [xCoord] = d3.pointer(event, svg.node());
+            chartOptions.onSelectPrice(xScale.invert(xCoord));
         });
-        
-        // Get the bounding box of the text
-        const bbox = textElement.node().getBBox();
-        
-        // Add the background
-        interactionGroup.insert("rect", "text")
-            .attr("class", "chart-label-bg")
-            .attr("x", bbox.x - 2)
-            .attr("y", bbox.y - 2)
-            .attr("width", bbox.width + 4)
-            .attr("height", bbox.height + 4);
     }
 
-    // Add event listeners for both mouse and touch events
-    svg.on("click", handlePointerEvent)
-       .on("touchstart", handlePointerEvent);
+    // Offer to zoom back out once the chart shows less than its full range
+    if (xDomain[1] - xDomain[0] < priceRange[1] - priceRange[0]) {
+        d3.select("#chart")
+            .append("button")
+            .attr("class", "chart-reset-zoom")
+            .text("Reset zoom")
+            .on("mousedown touchstart", event => event.stopPropagation())
+            .on("click", resetChartZoom);
+    }
+}
+
+/**
+ * Zoom and pan the chart along the price axis with the mouse wheel, pinch and drag. The chart is redrawn
+ * from the curves it has while the gesture lasts; when it ends, chartOptions.onZoom can recalculate them.
+ * @param {Array<number>} xDomain - The [min, max] prices the chart was drawn with.
+ */
+function bindChartZoom(xDomain) {
+    const { priceRange, chartOptions, layout: { margin, width, height } } = chartState;
+    const baseScale = d3.scaleLinear()
+        .domain(priceRange)
+        .range([margin.left, margin.left + width]);
+    const extent = [[margin.left, margin.top], [margin.left + width, margin.top + height]];
+
+    const zoom = d3.zoom()
+        .scaleExtent([1, CHART_MAX_ZOOM])
+        .extent(extent)
+        .translateExtent(extent)
+        .on("zoom", event => {
+            // Zooms set from code have no source event, and are already drawn
+            if (event.sourceEvent) {
+                renderChart(event.transform.rescaleX(baseScale).domain());
+            }
+        })
+        .on("end", event => {
+            if (!event.sourceEvent || event.transform === chartState.zoomTransform || !chartOptions.onZoom) {
+                return;
+            }
+            chartOptions.onZoom(event.transform.k > 1 ? event.transform.rescaleX(baseScale).domain() : null);
+        });
+
+    // Start the zoom at the range drawn, so the next gesture carries on from there
+    const scale = (priceRange[1] - priceRange[0]) / (xDomain[1] - xDomain[0]);
+    const transform = d3.zoomIdentity
+        .translate(margin.left - scale * baseScale(xDomain[0]), 0)
+        .scale(scale);
+    const container = d3.select("#chart")
+        .call(zoom)
+        .on("dblclick.zoom", resetChartZoom);
+    zoom.transform(container, transform);
+    chartState.zoomTransform = d3.zoomTransform(container.node());
+}
+
+/**
+ * Zoom the chart back out to its full price range.
+ */
+function resetChartZoom() {
+    const { data, cost, optionArray, tempData, chartOptions } = chartState;
+    if (chartOptions.onZoom) {
+        chartOptions.onZoom(null);
+    } else {
+        drawChart(data, cost, optionArray, tempData, chartOptions);
+    }
+}
+
+/**
+ * Linearly interpolate a curve's value at a price between its sampled points.
+ * @param {Array<Object>} curve - Points sorted by closingPrice.
+ * @param {string} valueKey - The property holding each point's value.
+ * @param {number} price - The price to read the curve at.
+ * @returns {number|null} The value, or null when the price is outside the curve.
+ */
+function interpolateCurveValue(curve, valueKey, price) {
+    if (curve.length === 0 || price < curve[0].closingPrice || price > curve[curve.length - 1].closingPrice) {
+        return null;
+    }
+    const index = d3.bisector(d => d.closingPrice).left(curve, price);
+    const after = curve[index];
+    const before = curve[Math.max(0, index - 1)];
+    if (after.closingPrice === before.closingPrice) {
+        return after[valueKey];
+    }
+    const fraction = (price - before.closingPrice) / (after.closingPrice - before.closingPrice);
+    return before[valueKey] + (after[valueKey] - before[valueKey]) * fraction;
+}
+
+/**
+ * Escape text, like leg labels and scenario names, for the tooltip's HTML.
+ * @param {string} text - The text to escape.
+ * @returns {string} The escaped text.
+ */
+function escapeChartText(text) {
+    return String(text)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;');
+}
+
+/**
+ * Copy the chart into a standalone SVG document with a title above it and a legend of every series below it.
+ * Styles from the stylesheet are written onto the elements, and the hover crosshair and the legend above the
+ * chart are left out.
+ * @param {string} title - Title drawn above the chart.
+ * @returns {Object|null} { svg (the SVG markup), width, height }, or null when no chart has been drawn.
+ */
+function exportChartSvg(title) {
+    const chartSvg = document.querySelector("#chart svg");
+    if (!chartSvg) {
+        return null;
+    }
+
+    const titleHeight = 30;
+    const legendRowHeight = 18;
+    const legendColumns = 3;
+    const legendHeight = Math.ceil(chartLegendItems.length / legendColumns) * legendRowHeight + 10;
+    const chartWidth = chartSvg.getBoundingClientRect().width || Number(chartSvg.getAttribute("width"));
+    const chartHeight = chartSvg.getBoundingClientRect().height || Number(chartSvg.getAttribute("height"));
+    const width = Math.round(chartWidth);
+    const height = Math.round(chartHeight + titleHeight + legendHeight);
+
+    // Inline the styles that come from the stylesheet, walking the original and the copy together
+    const chartCopy = chartSvg.cloneNode(true);
+    const styleProperties = ["fill", "stroke", "stroke-width", "stroke-dasharray", "opacity", "font-family", "font-size", "font-weight", "text-anchor"];
+    const originals = [chartSvg, ...chartSvg.querySelectorAll("*")];
+    [chartCopy, ...chartCopy.querySelectorAll("*")].forEach((element, index) => {
+        const computed = window.getComputedStyle(originals[index]);
+        styleProperties.forEach(property => {
+            const value = computed.getPropertyValue(property);
+            if (value && !element.style.getPropertyValue(property)) {
+                element.style.setProperty(property, value);
+            }
+        });
+    });
+    chartCopy.querySelectorAll(".crosshair, .chart-overlay, .chart-legend").forEach(element => element.remove());
+
+    const exported = d3.create("svg")
+        .attr("width", width)
+        .attr("height", height)
+        .attr("viewBox", `0 0 ${width} ${height}`)
+        .style("font-family", "Arial, sans-serif");
+
+    exported.append("rect")
+        .attr("width", width)
+        .attr("height", height)
+        .attr("fill", "#fff");
+
+    exported.append("text")
+        .attr("x", width / 2)
+        .attr("y", titleHeight / 2 + 5)
+        .attr("text-anchor", "middle")
+        .style("font-size", "16px")
+        .style("font-weight", "bold")
+        .style("fill", "#333")
+        .text(title);
+
+    const chartGroup = exported.append("g")
+        .attr("transform", `translate(0,${titleHeight})`);
+    Array.from(chartCopy.childNodes).forEach(child => chartGroup.node().appendChild(child));
+
+    const columnWidth = (width - 40) / legendColumns;
+    const legend = exported.append("g")
+        .attr("transform", `translate(20,${titleHeight + chartHeight + legendRowHeight / 2 + 5})`);
+    chartLegendItems.forEach((item, index) => {
+        const legendItem = legend.append("g")
+            .attr("transform", `translate(${(index % legendColumns) * columnWidth},${Math.floor(index / legendColumns) * legendRowHeight})`);
+
+        legendItem.append("line")
+            .attr("x1", 0)
+            .attr("x2", 20)
+            .attr("stroke", item.color)
+            .attr("stroke-width", 2)
+            .attr("stroke-dasharray", item.dash || null);
+
+        legendItem.append("text")
+            .attr("x", 26)
+            .attr("dominant-baseline", "middle")
+            .style("font-size", "11px")
+            .style("fill", "#333")
+            .text(item.label);
+    });
+
+    return {
+        svg: new XMLSerializer().serializeToString(exported.node()),
+        width,
+        height
+    };
 }
 
-// Export chart functions for use in other modules
+// Export chart functions for use in other modules, along with the engine's calculations
 window.ChartModule = {
-    calculatePortfolioValueAtExpiration,
-    findKeyPointsOnCurve,
-    drawChart
+    ...OptionEngine,
+    SCENARIO_COLORS,
+    drawChart,
+    exportChartSvg
 };
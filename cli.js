@@ -0,0 +1,296 @@
+#!/usr/bin/env node
+// Option Calc CLI - Prints the value curve, key points and cost summary for a position input file
+// in the line format or JSON. Input warnings go to standard error with their line and column.
+//
+// Usage: node cli.js <input.json | -> [--format text|json|csv] [--today YYYY-MM-DD]
+
+const fs = require('fs');
+const OptionEngine = require('./engine');
+
+const USAGE = 'Usage: node cli.js <input.json | -> [--format text|json|csv] [--today YYYY-MM-DD]';
+
+// Read the input file, format and date from the command line
+function parseArguments(args) {
+  const options = { file: null, format: 'text', today: null };
+  for (let i = 0; i < args.length; i++) {
+    const arg = args[i];
+    if (arg === '--format') {
+      options.format = args[++i];
+    } else if (arg === '--today') {
+      options.today = args[++i];
+    } else if (arg === '--help' || arg === '-h') {
+      options.help = true;
+    } else if (options.file === null) {
+      options.file = arg;
+    } else {
+      throw new Error(`Unexpected argument: ${arg}`);
+    }
+  }
+
+  if (!options.help && options.file === null) {
+    throw new Error('An input file is required (use - to read standard input)');
+  }
+  if (!['text', 'json', 'csv'].includes(options.format)) {
+    throw new Error('--format must be text, json or csv');
+  }
+  if (options.today !== null && !OptionEngine.isValidDate(options.today)) {
+    throw new Error('--today must be a date like 2026-01-16');
+  }
+  return options;
+}
+
+// Value the position at expiration the same way the calculator page does, including each scenario added to it
+function calculateReport(inputText, today) {
+  const parsed = OptionEngine.parsePositionInput(inputText, { today });
+  const { positions, scenarios, cost, minPrice, maxPrice, priceStep, pricingModel, multiplier } = parsed;
+
+  // Legs expiring after the front expiration are priced with the input's volatility
+  const model = pricingModel ? { volatility: pricingModel.volatility, rate: pricingModel.rate } : null;
+  const valueCurve = OptionEngine.calculatePortfolioValueAtExpiration(positions, minPrice, maxPrice, priceStep, model);
+
+  // A scenario's own cost is taken off its curve, so its profit is measured against the position's cost
+  const scenarioReports = scenarios.map(scenario => {
+    const allPositions = OptionEngine.combinePositions(positions.concat(scenario.legs), multiplier)
+      .filter(position => position.qty !== 0);
+    const scenarioCurve = OptionEngine.calculatePortfolioValueAtExpiration(allPositions, minPrice, maxPrice, priceStep, model)
+      .map(point => ({ ...point, totalIntrinsicValue: point.totalIntrinsicValue - scenario.cost }));
+    return {
+      name: scenario.name,
+      cost: scenario.cost,
+      payoffSummary: OptionEngine.solveExpirationPayoff(allPositions, cost + scenario.cost),
+      valueCurve: scenarioCurve,
+      keyPoints: OptionEngine.findKeyPointsOnCurve(scenarioCurve, cost)
+    };
+  });
+
+  // Margin is estimated at the input's underlying price, or the middle of the range, with the options valued today
+  const marginPrice = parsed.underlyingPrice ?? (minPrice + maxPrice) / 2;
+  const margin = OptionEngine.estimateMarginRequirement(positions, marginPrice, {
+    optionsCost: parsed.optionsCost,
+    stressPct: parsed.stressPct,
+    model: pricingModel ? { ...pricingModel, valuationDate: today || OptionEngine.getTodayDate() } : null
+  });
+
+  return {
+    parsed,
+    evaluatedAt: OptionEngine.getFrontExpiration(positions),
+    payoffSummary: OptionEngine.solveExpirationPayoff(positions, cost),
+    margin: { ...margin, underlyingPrice: marginPrice },
+    valueCurve,
+    keyPoints: OptionEngine.findKeyPointsOnCurve(valueCurve, cost),
+    scenarios: scenarioReports
+  };
+}
+
+const formatDollars = value => `${value < 0 ? '-' : ''}$${Math.abs(value).toFixed(2)}`;
+const formatSigned = value => (value >= 0 ? `+${value.toFixed(2)}` : value.toFixed(2));
+
+function formatText(report) {
+  const { parsed } = report;
+  const formatCurve = curve => curve
+    .map(p => `${p.closingPrice}: ${p.totalIntrinsicValue} (${formatSigned(p.totalIntrinsicValue - parsed.cost)})`)
+    .join('\n');
+  const formatKeyPoints = points => points
+    .map(p => `${p.description}: $${p.closingPrice.toFixed(2)} (Value: $${p.totalIntrinsicValue.toFixed(2)})`)
+    .join('\n');
+
+  const lines = [
+    `Position Count: ${parsed.optionArray.length}`,
+    `Legs: ${parsed.positions.map(position => OptionEngine.formatOptionLeg(position, parsed.multiplier)).join(', ')}`,
+    `${parsed.journal ? 'Cost of Open Lots' : 'Total Cost'}: ${formatDollars(parsed.cost)}${parsed.hasCostOverride && parsed.totalFillCost !== 0 ?
+      (parsed.optionArray.some(OptionEngine.isUnderlyingPosition) ?
+        ' (manual cost override, replacing every fill including the shares and futures)' : ' (manual cost override)') : ''}`
+  ];
+  if (parsed.journal) {
+    lines.push(`Realized P&L: ${formatSigned(parsed.journal.realizedPnL)}`);
+  }
+  if (parsed.totalFillCost !== 0) {
+    lines.push(`Fills Total: ${formatDollars(parsed.totalFillCost)}`);
+  }
+  if (parsed.totalCostAdjustment !== 0) {
+    lines.push(`Cost Adjustments: ${formatDollars(parsed.totalCostAdjustment)}`);
+  }
+  if (report.evaluatedAt) {
+    lines.push(`Evaluated At: ${report.evaluatedAt} (front expiration)`);
+  }
+  if (parsed.journal) {
+    const { openLots, closedLots } = parsed.journal;
+    lines.push('', 'Open Lots (first in, first out):');
+    openLots.forEach(lot => lines.push(`${lot.qty}${lot.key} @ ${lot.fillPrice.toFixed(2)}, opened ${lot.time}: ${formatDollars(lot.costBasis)}`));
+    if (closedLots.length > 0) {
+      lines.push('', 'Closed Lots:');
+      closedLots.forEach(lot => lines.push(
+        `${lot.qty}${lot.key} @ ${lot.openPrice.toFixed(2)} -> ${lot.closePrice.toFixed(2)}, ${lot.openTime} -> ${lot.closeTime}: ${formatSigned(lot.realizedPnL)}`));
+    }
+  }
+
+  // Ranges print as 620, 600-610, or 640+ when they hold all the way up
+  const formatRange = range => {
+    if (range.to === Infinity) {
+      return `${range.from}+`;
+    }
+    return range.to === range.from ? `${range.from}` : `${range.from}-${range.to}`;
+  };
+  const formatExtreme = extreme => (extreme.unlimited ? 'Unlimited' :
+    `${formatSigned(extreme.value)} at ${extreme.ranges.map(formatRange).join(', ')}`);
+  // A position that can't lose has no max loss, only a minimum profit
+  const formatMaxLoss = extreme => (!extreme.unlimited && extreme.value >= 0 ?
+    `none (minimum profit ${formatExtreme(extreme)})` : formatExtreme(extreme));
+
+  const { payoffSummary } = report;
+  if (payoffSummary) {
+    lines.push(
+      '',
+      'Expiration Summary (exact):',
+      `Break-evens: ${payoffSummary.breakEvens.length > 0 ? payoffSummary.breakEvens.join(', ') : 'none'}`,
+      `Max Profit: ${formatExtreme(payoffSummary.maxProfit)}`,
+      `Max Loss: ${formatMaxLoss(payoffSummary.maxLoss)}`
+    );
+  }
+
+  // Return on capital is the max profit over the requirement
+  const formatReturn = requirement => {
+    if (!payoffSummary || !(requirement > 0)) {
+      return '';
+    }
+    return payoffSummary.maxProfit.unlimited ? ' (return on capital unlimited)' :
+      ` (return on capital ${(payoffSummary.maxProfit.value / requirement * 100).toFixed(1)}%)`;
+  };
+  const { regT, portfolioMargin, underlyingPrice } = report.margin;
+  lines.push(
+    '',
+    `Margin Estimate (at ${underlyingPrice}):`,
+    `Reg-T: ${regT.requirement === null ? 'not estimated, the loss is unlimited' : `${formatDollars(regT.requirement)}${formatReturn(regT.requirement)}`}`,
+    ...regT.naked.map(leg => `Naked ${OptionEngine.formatOptionLeg(leg, parsed.multiplier)}: ${formatDollars(leg.requirement)}`),
+    `Portfolio Margin (+/-${portfolioMargin.stressPct}%): ${formatDollars(portfolioMargin.requirement)}${formatReturn(portfolioMargin.requirement)}`
+  );
+
+  lines.push('', 'Value Curve (optionArray):', formatCurve(report.valueCurve));
+  if (report.keyPoints.length > 0) {
+    lines.push('', 'Key Points on Curve:', formatKeyPoints(report.keyPoints));
+  }
+  report.scenarios.forEach(scenario => {
+    lines.push('', `Scenario: ${scenario.name}`);
+    if (scenario.payoffSummary) {
+      lines.push(
+        `Break-evens: ${scenario.payoffSummary.breakEvens.length > 0 ? scenario.payoffSummary.breakEvens.join(', ') : 'none'}`,
+        `Max Profit: ${formatExtreme(scenario.payoffSummary.maxProfit)}`,
+        `Max Loss: ${formatMaxLoss(scenario.payoffSummary.maxLoss)}`
+      );
+    }
+    lines.push('', `Value Curve (with ${scenario.name}):`, formatCurve(scenario.valueCurve));
+    if (scenario.keyPoints.length > 0) {
+      lines.push('', `Key Points with ${scenario.name}:`, formatKeyPoints(scenario.keyPoints));
+    }
+  });
+  return lines.join('\n');
+}
+
+function formatJson(report) {
+  const { parsed } = report;
+  const curvePoints = curve => curve.map(p => ({
+    closingPrice: p.closingPrice,
+    value: p.totalIntrinsicValue,
+    profitLoss: p.totalIntrinsicValue - parsed.cost
+  }));
+  const extremeJson = extreme => ({
+    value: extreme.unlimited ? null : extreme.value,
+    unlimited: extreme.unlimited,
+    ranges: extreme.ranges.map(range => ({ from: range.from, to: range.to === Infinity ? null : range.to }))
+  });
+  const payoffSummaryJson = summary => summary && {
+    breakEvens: summary.breakEvens,
+    maxProfit: extremeJson(summary.maxProfit),
+    maxLoss: extremeJson(summary.maxLoss)
+  };
+  const keyPoints = points => points.map(p => ({
+    type: p.type,
+    description: p.description,
+    closingPrice: p.closingPrice,
+    value: p.totalIntrinsicValue
+  }));
+
+  return JSON.stringify({
+    positionCount: parsed.optionArray.length,
+    legs: parsed.positions.map(position => OptionEngine.formatOptionLeg(position, parsed.multiplier)),
+    cost: parsed.cost,
+    hasCostOverride: parsed.hasCostOverride,
+    totalFillCost: parsed.totalFillCost,
+    totalCostAdjustment: parsed.totalCostAdjustment,
+    ...(parsed.journal && { journal: parsed.journal }),
+    range: { min: parsed.minPrice, max: parsed.maxPrice, step: parsed.priceStep },
+    evaluatedAt: report.evaluatedAt,
+    // Unlimited values and open-ended ranges are null, as JSON has no Infinity
+    payoffSummary: payoffSummaryJson(report.payoffSummary),
+    margin: report.margin,
+    valueCurve: curvePoints(report.valueCurve),
+    keyPoints: keyPoints(report.keyPoints),
+    scenarios: report.scenarios.map(scenario => ({
+      name: scenario.name,
+      cost: scenario.cost,
+      payoffSummary: payoffSummaryJson(scenario.payoffSummary),
+      valueCurve: curvePoints(scenario.valueCurve),
+      keyPoints: keyPoints(scenario.keyPoints)
+    }))
+  }, null, 2);
+}
+
+// One table with a record column: the cost summary, then the curve points, then the key points,
+// then each scenario's curve and key points with the scenario's name in the description
+function formatCsv(report) {
+  const { parsed } = report;
+  const escape = value => (/[",\n]/.test(value) ? `"${value.replace(/"/g, '""')}"` : value);
+  const rows = [['record', 'closingPrice', 'value', 'profitLoss', 'description']];
+
+  rows.push(['cost', '', parsed.cost, '', parsed.hasCostOverride ? 'Total cost (manual override)' :
+    parsed.journal ? 'Cost of open lots' : 'Total cost']);
+  rows.push(['margin_reg_t', report.margin.underlyingPrice, report.margin.regT.requirement ?? '', '',
+    'Reg-T margin estimate (empty when the loss is unlimited)']);
+  rows.push(['margin_portfolio', report.margin.underlyingPrice, report.margin.portfolioMargin.requirement, '',
+    `Portfolio margin estimate, +/-${report.margin.portfolioMargin.stressPct}% stress`]);
+  if (parsed.journal) {
+    rows.push(['realized_pnl', '', '', parsed.journal.realizedPnL, 'Realized P&L of the closed lots']);
+  }
+  const addCurve = (record, curve) => curve.forEach(p => {
+    rows.push([record, p.closingPrice, p.totalIntrinsicValue, p.totalIntrinsicValue - parsed.cost, '']);
+  });
+  const addKeyPoints = (record, points) => points.forEach(p => {
+    rows.push([record, p.closingPrice, p.totalIntrinsicValue, p.totalIntrinsicValue - parsed.cost, p.description]);
+  });
+
+  addCurve('curve', report.valueCurve);
+  addKeyPoints('key_point', report.keyPoints);
+  report.scenarios.forEach(scenario => {
+    scenario.valueCurve.forEach(p => {
+      rows.push(['scenario_curve', p.closingPrice, p.totalIntrinsicValue, p.totalIntrinsicValue - parsed.cost, scenario.name]);
+    });
+    scenario.keyPoints.forEach(p => {
+      rows.push(['scenario_key_point', p.closingPrice, p.totalIntrinsicValue, p.totalIntrinsicValue - parsed.cost,
+        `${scenario.name}: ${p.description}`]);
+    });
+  });
+  return rows.map(row => row.map(value => escape(String(value))).join(',')).join('\n');
+}
+
+function main() {
+  try {
+    const options = parseArguments(process.argv.slice(2));
+    if (options.help) {
+      console.log(USAGE);
+      return;
+    }
+
+    const inputText = fs.readFileSync(options.file === '-' ? 0 : options.file, 'utf8');
+    const report = calculateReport(inputText, options.today || undefined);
+    report.parsed.diagnostics.forEach(diagnostic => console.error(`Warning: ${OptionEngine.formatDiagnostic(diagnostic)}`));
+    const formatters = { text: formatText, json: formatJson, csv: formatCsv };
+    console.log(formatters[options.format](report));
+  } catch (error) {
+    // Input errors come one per line, each with its line and column
+    error.message.split('\n').forEach(line => console.error(`Error: ${line}`));
+    console.error(USAGE);
+    process.exitCode = 1;
+  }
+}
+
+main();
@@ -0,0 +1,2051 @@
+// Option Engine - Payoff, pricing and input parsing without any DOM or D3 dependency, for the browser and Node
+
+// Loaded with require('./engine') in Node, or as window.OptionEngine (re-exported by ChartModule) in the browser.
+// The factory keeps the helpers out of the page's global scope, where oc.js defines functions with the same names.
+(function (root, factory) {
+    if (typeof module !== 'undefined' && module.exports) {
+        module.exports = factory();
+    } else {
+        root.OptionEngine = factory();
+    }
+}(typeof window !== 'undefined' ? window : this, function () {
+
+/**
+ * Number of calendar days between two dates.
+ * @param {string} fromDate - Start date as YYYY-MM-DD.
+ * @param {string} toDate - End date as YYYY-MM-DD.
+ * @returns {number} The number of days from fromDate to toDate (negative if toDate is earlier).
+ */
+function daysBetween(fromDate, toDate) {
+    return Math.round((Date.parse(`${toDate}T00:00:00Z`) - Date.parse(`${fromDate}T00:00:00Z`)) / 86400000);
+}
+
+/**
+ * Move a date forward or backward by a number of calendar days.
+ * @param {string} date - The date as YYYY-MM-DD.
+ * @param {number} days - The number of days to add.
+ * @returns {string} The shifted date as YYYY-MM-DD.
+ */
+function shiftDate(date, days) {
+    return new Date(Date.parse(`${date}T00:00:00Z`) + days * 86400000).toISOString().slice(0, 10);
+}
+
+/**
+ * Find the earliest expiration date among the positions.
+ * @param {Array<Object>} optionsPositions - Array of option positions, some with an 'expiration' date.
+ * @returns {string|null} The front expiration as YYYY-MM-DD, or null if no position has an expiration.
+ */
+function getFrontExpiration(optionsPositions) {
+    const expirations = optionsPositions
+        .map(position => position.expiration)
+        .filter(Boolean)
+        .sort();
+    return expirations.length > 0 ? expirations[0] : null;
+}
+
+/**
+ * Check whether a position is a linear underlying leg (shares or futures) rather than an option.
+ * @param {Object} position - A position with a 'type' of 'c', 'p', 's' (shares) or 'f' (futures).
+ * @returns {boolean} True for shares and futures legs.
+ */
+function isUnderlyingPosition(position) {
+    return position.type === 's' || position.type === 'f';
+}
+
+/**
+ * Dollar value of a one point move in the underlying, per unit of quantity.
+ * Uses the position's own 'multiplier' when set. Otherwise shares move one for one
+ * and option and futures quantities are contracts of 100.
+ * @param {Object} position - A position with a 'type' and optional 'multiplier'.
+ * @returns {number} The multiplier for the position.
+ */
+function getPositionMultiplier(position) {
+    if (position.multiplier > 0) {
+        return position.multiplier;
+    }
+    return position.type === 's' ? 1 : 100;
+}
+
+/**
+ * Check that a portfolio can be valued on its evaluation date: the front expiration, or model.valuationDate
+ * if given. Legs that expire later are still open on that date, and need a volatility to be priced.
+ * @param {Array<Object>} optionsPositions - Array of option positions with qty, type, strike and optional expiration.
+ * @param {Object} model - Optional pricing inputs for still-open legs: volatility, rate and valuationDate.
+ * @returns {string|null} The evaluation date, or null when no leg has an expiration date.
+ */
+function getValuationDate(optionsPositions, model) {
+    const valuationDate = (model && model.valuationDate) || getFrontExpiration(optionsPositions);
+    const openPositions = optionsPositions.filter(position => isOpenOnDate(position, valuationDate));
+
+    // Back-month legs need a volatility to be priced on the evaluation date
+    if (openPositions.length > 0) {
+        if (!model) {
+            throw new Error(`Legs expiring after ${valuationDate} need a pricing model (iv) to be valued`);
+        }
+        assertPositionsHaveVolatility(openPositions, model);
+    }
+    return valuationDate;
+}
+
+/**
+ * Whether a position is still open on the evaluation date, because it expires after it.
+ * @param {Object} position - An option position, optionally with an 'expiration' date.
+ * @param {string|null} valuationDate - The evaluation date, or null.
+ * @returns {boolean} True when the position expires after valuationDate.
+ */
+function isOpenOnDate(position, valuationDate) {
+    return Boolean(valuationDate && position.expiration && position.expiration > valuationDate);
+}
+
+/**
+ * Value one position on the evaluation date at an underlying price: intrinsic value for legs that have
+ * expired by then, Black-Scholes value for legs still open, scaled by quantity and multiplier.
+ * @param {Object} position - An option, shares or futures position.
+ * @param {number} closingPrice - The underlying price.
+ * @param {string|null} valuationDate - The evaluation date from getValuationDate.
+ * @param {Object} model - Pricing inputs for still-open legs: volatility and rate.
+ * @returns {number} The position's value.
+ */
+function valuePositionOnDate(position, closingPrice, valuationDate, model) {
+    const { qty, type, strike } = position;
+
+    if (isOpenOnDate(position, valuationDate)) { // Still open, so price the remaining time value
+        const yearsToExpiry = daysBetween(valuationDate, position.expiration) / 365;
+        const optionValue = blackScholesPrice(type, closingPrice, strike, yearsToExpiry, position.iv || model.volatility, model.rate || 0);
+        return optionValue * qty * getPositionMultiplier(position);
+    } else if (type === 'c') { // Call option
+        // Call is worth the difference between underlying price and strike, if positive
+        return Math.max(0, closingPrice - strike) * qty * getPositionMultiplier(position);
+    } else if (type === 'p') { // Put option
+        // Put is worth the difference between strike and underlying price, if positive
+        return Math.max(0, strike - closingPrice) * qty * getPositionMultiplier(position);
+    } else if (isUnderlyingPosition(position)) { // Shares or futures
+        return closingPrice * qty * getPositionMultiplier(position);
+    }
+    return 0;
+}
+
+/**
+ * Calculate the intrinsic value of an options portfolio at expiration across a range of prices.
+ * The portfolio is evaluated at the front expiration, or at model.valuationDate if given. Legs that
+ * expire later are still open on that date, so they are valued with Black-Scholes instead.
+ * Legs without an expiration date are assumed to expire on the evaluation date.
+ * Shares ('s') and futures ('f') legs are worth the underlying price times their quantity and multiplier.
+ * @param {Array<Object>} optionsPositions - Array of option positions with qty, type, strike and optional expiration.
+ * @param {number} minPrice - The minimum underlying price to calculate.
+ * @param {number} maxPrice - The maximum underlying price to calculate.
+ * @param {number} priceStep - The increment for each price point in the range.
+ * @param {Object} model - Optional pricing inputs for still-open legs: volatility, rate and valuationDate.
+ * @returns {Array<object>} An array of objects, each with 'closingPrice' and 'totalIntrinsicValue'.
+ */
+function calculatePortfolioValueAtExpiration(optionsPositions, minPrice, maxPrice, priceStep, model = null) {
+    return calculateLegValuesAtExpiration(optionsPositions, minPrice, maxPrice, priceStep, model)
+        .map(({ closingPrice, totalIntrinsicValue }) => ({ closingPrice, totalIntrinsicValue }));
+}
+
+/**
+ * Calculate the value of each leg of a portfolio at expiration across a range of prices, valued as in
+ * calculatePortfolioValueAtExpiration, along with their total.
+ * @param {Array<Object>} optionsPositions - Array of option positions with qty, type, strike and optional expiration.
+ * @param {number} minPrice - The minimum underlying price to calculate.
+ * @param {number} maxPrice - The maximum underlying price to calculate.
+ * @param {number} priceStep - The increment for each price point in the range.
+ * @param {Object} model - Optional pricing inputs for still-open legs: volatility, rate and valuationDate.
+ * @returns {Array<object>} An array of objects, each with 'closingPrice', 'legValues' (the value of each
+ *   position, in the order given) and 'totalIntrinsicValue'.
+ */
+function calculateLegValuesAtExpiration(optionsPositions, minPrice, maxPrice, priceStep, model = null) {
+    if (!Array.isArray(optionsPositions) || optionsPositions.length === 0) {
+        throw new Error("optionsPositions must be a non-empty array of option configurations.");
+    }
+
+    const valuationDate = getValuationDate(optionsPositions, model);
+    const valueCurve = [];
+    
+    // Ensure we have valid range parameters
+    if (minPrice >= maxPrice) {
+        throw new Error("minPrice must be less than maxPrice");
+    }
+    
+    if (priceStep <= 0) {
+        throw new Error("priceStep must be greater than 0");
+    }
+
+    // Generate price points from minPrice to maxPrice with the given step
+    for (let closingPrice = minPrice; closingPrice <= maxPrice; closingPrice += priceStep) {
+        // Calculate the value of each position on the evaluation date
+        const legValues = optionsPositions.map(position => valuePositionOnDate(position, closingPrice, valuationDate, model));
+        const portfolioTotalIntrinsicValue = legValues.reduce((sum, value) => sum + value, 0);
+
+        valueCurve.push({
+            closingPrice: parseFloat(closingPrice.toFixed(2)),
+            legValues: legValues.map(value => parseFloat(value.toFixed(2))),
+            totalIntrinsicValue: parseFloat(portfolioTotalIntrinsicValue.toFixed(2))
+        });
+    }
+  
+    return valueCurve;
+}
+
+/**
+ * Value each position separately at one underlying price, on the same evaluation date and with the same
+ * pricing as calculatePortfolioValueAtExpiration, so the values add up to that curve's value there.
+ * @param {Array<Object>} optionsPositions - Array of option positions with qty, type, strike and optional expiration.
+ * @param {number} closingPrice - The underlying price to evaluate at.
+ * @param {Object} model - Optional pricing inputs for still-open legs: volatility, rate and valuationDate.
+ * @returns {Array<number>} The value of each position, in the order given.
+ */
+function calculatePositionValuesAtPrice(optionsPositions, closingPrice, model = null) {
+    const valuationDate = getValuationDate(optionsPositions, model);
+    return optionsPositions.map(position => valuePositionOnDate(position, closingPrice, valuationDate, model));
+}
+
+/**
+ * Standard normal cumulative distribution function.
+ * Uses the Abramowitz-Stegun approximation (absolute error below 7.5e-8).
+ * @param {number} x - The value to evaluate.
+ * @returns {number} The probability that a standard normal variable is less than or equal to x.
+ */
+function normalCdf(x) {
+    const t = 1 / (1 + 0.2316419 * Math.abs(x));
+    const density = Math.exp(-x * x / 2) / Math.sqrt(2 * Math.PI);
+    const tail = density * t * (0.319381530 + t * (-0.356563782 + t * (1.781477937 + t * (-1.821255978 + t * 1.330274429))));
+    return x >= 0 ? 1 - tail : tail;
+}
+
+/**
+ * Price a European option with the Black-Scholes model.
+ * Falls back to intrinsic value once the option has expired or has no volatility.
+ * @param {string} type - 'c' for a call, 'p' for a put.
+ * @param {number} underlyingPrice - The price of the underlying.
+ * @param {number} strike - The strike price of the option.
+ * @param {number} yearsToExpiry - Time remaining until expiration, in years.
+ * @param {number} volatility - Annualized volatility as a decimal (0.2 for 20%).
+ * @param {number} rate - Annualized risk-free rate as a decimal.
+ * @returns {number} The theoretical option price per share.
+ */
+function blackScholesPrice(type, underlyingPrice, strike, yearsToExpiry, volatility, rate = 0) {
+    if (yearsToExpiry <= 0 || volatility <= 0 || underlyingPrice <= 0) {
+        return type === 'c' ? Math.max(0, underlyingPrice - strike) : Math.max(0, strike - underlyingPrice);
+    }
+
+    const volSqrtT = volatility * Math.sqrt(yearsToExpiry);
+    const d1 = (Math.log(underlyingPrice / strike) + (rate + volatility * volatility / 2) * yearsToExpiry) / volSqrtT;
+    const d2 = d1 - volSqrtT;
+    const discountedStrike = strike * Math.exp(-rate * yearsToExpiry);
+
+    if (type === 'c') {
+        return underlyingPrice * normalCdf(d1) - discountedStrike * normalCdf(d2);
+    }
+    return discountedStrike * normalCdf(-d2) - underlyingPrice * normalCdf(-d1);
+}
+
+/**
+ * Standard normal probability density function.
+ * @param {number} x - The value to evaluate.
+ * @returns {number} The density of a standard normal variable at x.
+ */
+function normalPdf(x) {
+    return Math.exp(-x * x / 2) / Math.sqrt(2 * Math.PI);
+}
+
+/**
+ * Calculate the Black-Scholes Greeks of a single European option.
+ * @param {string} type - 'c' for a call, 'p' for a put.
+ * @param {number} underlyingPrice - The price of the underlying.
+ * @param {number} strike - The strike price of the option.
+ * @param {number} yearsToExpiry - Time remaining until expiration, in years.
+ * @param {number} volatility - Annualized volatility as a decimal (0.2 for 20%).
+ * @param {number} rate - Annualized risk-free rate as a decimal.
+ * @returns {object} Per-share delta, gamma, theta (per calendar day) and vega (per 1 point of volatility).
+ */
+function blackScholesGreeks(type, underlyingPrice, strike, yearsToExpiry, volatility, rate = 0) {
+    if (yearsToExpiry <= 0 || volatility <= 0 || underlyingPrice <= 0) {
+        // An expired option only has delta, and only when it finishes in the money
+        let delta = 0;
+        if (type === 'c' && underlyingPrice > strike) delta = 1;
+        if (type === 'p' && underlyingPrice < strike) delta = -1;
+        return { delta, gamma: 0, theta: 0, vega: 0 };
+    }
+
+    const sqrtT = Math.sqrt(yearsToExpiry);
+    const d1 = (Math.log(underlyingPrice / strike) + (rate + volatility * volatility / 2) * yearsToExpiry) / (volatility * sqrtT);
+    const d2 = d1 - volatility * sqrtT;
+    const discountedStrike = strike * Math.exp(-rate * yearsToExpiry);
+    const densityD1 = normalPdf(d1);
+
+    const gamma = densityD1 / (underlyingPrice * volatility * sqrtT);
+    const vega = underlyingPrice * densityD1 * sqrtT / 100;
+    const timeDecay = -underlyingPrice * densityD1 * volatility / (2 * sqrtT);
+
+    if (type === 'c') {
+        return {
+            delta: normalCdf(d1),
+            gamma,
+            theta: (timeDecay - rate * discountedStrike * normalCdf(d2)) / 365,
+            vega
+        };
+    }
+    return {
+        delta: normalCdf(d1) - 1,
+        gamma,
+        theta: (timeDecay + rate * discountedStrike * normalCdf(-d2)) / 365,
+        vega
+    };
+}
+
+/**
+ * Back out the implied volatility of an option from its price.
+ * Uses Newton-Raphson on vega and falls back to bisection when Newton steps leave the bracket.
+ * @param {string} type - 'c' for a call, 'p' for a put.
+ * @param {number} optionPrice - The observed option price per share (for example the bid/ask mid).
+ * @param {number} underlyingPrice - The price of the underlying.
+ * @param {number} strike - The strike price of the option.
+ * @param {number} yearsToExpiry - Time remaining until expiration, in years.
+ * @param {number} rate - Annualized risk-free rate as a decimal.
+ * @returns {number|null} The implied volatility as a decimal, or null if no volatility reproduces the price.
+ */
+function impliedVolatility(type, optionPrice, underlyingPrice, strike, yearsToExpiry, rate = 0) {
+    if (!(optionPrice > 0) || !(underlyingPrice > 0) || !(strike > 0) || !(yearsToExpiry > 0)) {
+        return null;
+    }
+
+    let low = 0.0001;
+    let high = 5;
+
+    // The price must lie between the values at the volatility bounds for a solution to exist
+    if (optionPrice <= blackScholesPrice(type, underlyingPrice, strike, yearsToExpiry, low, rate) ||
+        optionPrice >= blackScholesPrice(type, underlyingPrice, strike, yearsToExpiry, high, rate)) {
+        return null;
+    }
+
+    let volatility = 0.3;
+    for (let i = 0; i < 100; i++) {
+        const priceError = blackScholesPrice(type, underlyingPrice, strike, yearsToExpiry, volatility, rate) - optionPrice;
+        if (Math.abs(priceError) < optionPrice * 1e-7) {
+            return volatility;
+        }
+
+        // Price increases with volatility, so narrow the bracket around the root
+        if (priceError > 0) {
+            high = volatility;
+        } else {
+            low = volatility;
+        }
+
+        const vega = blackScholesGreeks(type, underlyingPrice, strike, yearsToExpiry, volatility, rate).vega * 100;
+        const newtonStep = vega > 1e-8 ? volatility - priceError / vega : NaN;
+        volatility = newtonStep > low && newtonStep < high ? newtonStep : (low + high) / 2;
+    }
+
+    return volatility;
+}
+
+/**
+ * Throw if any option leg has neither its own 'iv' nor a model volatility to be priced with.
+ * @param {Array<Object>} optionsPositions - Array of option positions.
+ * @param {Object} model - Pricing inputs with an optional volatility.
+ */
+function assertPositionsHaveVolatility(optionsPositions, model) {
+    const unpricedPosition = optionsPositions.find(position =>
+        (position.type === 'c' || position.type === 'p') && !(position.iv > 0) && !(model.volatility > 0));
+    if (unpricedPosition) {
+        const expiration = unpricedPosition.expiration ? `/${unpricedPosition.expiration}` : '';
+        throw new Error(`No volatility for ${unpricedPosition.qty}${unpricedPosition.type}${unpricedPosition.strike}${expiration}: set iv on the leg or in the input`);
+    }
+}
+
+/**
+ * Years remaining until a position expires under the given pricing model.
+ * Positions with an expiration date are measured from model.valuationDate; others use model.daysToExpiry.
+ * @param {Object} position - An option position, optionally with an 'expiration' date.
+ * @param {Object} model - Pricing inputs with valuationDate and/or daysToExpiry.
+ * @returns {number} The time to expiration in years, never negative.
+ */
+function getYearsToExpiry(position, model) {
+    if (position.expiration && model.valuationDate) {
+        return Math.max(0, daysBetween(model.valuationDate, position.expiration)) / 365;
+    }
+    if (!Number.isFinite(model.daysToExpiry)) {
+        throw new Error(`No expiration for ${position.qty}${position.type}${position.strike}: set an expiration date on the leg or dte in the input`);
+    }
+    return Math.max(0, model.daysToExpiry) / 365;
+}
+
+/**
+ * Calculate the Greeks of every leg and of the whole position at a single underlying price.
+ * Values are scaled by quantity and the contract multiplier, so delta is in shares and theta and vega in dollars.
+ * A leg's own 'iv' takes precedence over the model volatility.
+ * @param {Array<Object>} optionsPositions - Array of option positions with qty, type, and strike.
+ * @param {number} underlyingPrice - The underlying price to evaluate at.
+ * @param {Object} model - Pricing inputs: volatility (decimal), rate (decimal), valuationDate and daysToExpiry.
+ * @returns {object} An object with 'legs' (each position with its Greeks) and 'total' (the net Greeks).
+ */
+function calculatePositionGreeks(optionsPositions, underlyingPrice, model) {
+    assertPositionsHaveVolatility(optionsPositions, model);
+
+    const rate = model.rate || 0;
+    const total = { delta: 0, gamma: 0, theta: 0, vega: 0 };
+
+    const legs = optionsPositions
+        .filter(position => position.type === 'c' || position.type === 'p' || isUnderlyingPosition(position))
+        .map(position => {
+            // Shares and futures only have delta
+            if (isUnderlyingPosition(position)) {
+                const delta = position.qty * getPositionMultiplier(position);
+                total.delta += delta;
+                return { ...position, delta, gamma: 0, theta: 0, vega: 0 };
+            }
+
+            const volatility = position.iv || model.volatility;
+            const yearsToExpiry = getYearsToExpiry(position, model);
+            const greeks = blackScholesGreeks(position.type, underlyingPrice, position.strike, yearsToExpiry, volatility, rate);
+            const leg = { ...position };
+
+            Object.keys(total).forEach(name => {
+                leg[name] = greeks[name] * position.qty * getPositionMultiplier(position);
+                total[name] += leg[name];
+            });
+
+            return leg;
+        });
+
+    return { legs, total };
+}
+
+/**
+ * Calculate the net and per-leg position Greeks across a range of underlying prices.
+ * @param {Array<Object>} optionsPositions - Array of option positions with qty, type, and strike.
+ * @param {number} minPrice - The minimum underlying price to calculate.
+ * @param {number} maxPrice - The maximum underlying price to calculate.
+ * @param {number} priceStep - The increment for each price point in the range.
+ * @param {Object} model - Pricing inputs: volatility (decimal), rate (decimal), valuationDate and daysToExpiry.
+ * @returns {Array<object>} An array of objects with 'closingPrice', the net 'delta', 'gamma', 'theta' and 'vega',
+ * and 'legs' (each position with its Greeks at that price, as from calculatePositionGreeks).
+ */
+function calculateGreeksCurve(optionsPositions, minPrice, maxPrice, priceStep, model) {
+    if (minPrice >= maxPrice) {
+        throw new Error("minPrice must be less than maxPrice");
+    }
+
+    if (priceStep <= 0) {
+        throw new Error("priceStep must be greater than 0");
+    }
+
+    const greeksCurve = [];
+
+    for (let closingPrice = minPrice; closingPrice <= maxPrice; closingPrice += priceStep) {
+        const { legs, total } = calculatePositionGreeks(optionsPositions, closingPrice, model);
+        greeksCurve.push({
+            closingPrice: parseFloat(closingPrice.toFixed(2)),
+            ...total,
+            legs
+        });
+    }
+
+    return greeksCurve;
+}
+
+/**
+ * Calculate the theoretical value of an options portfolio before expiration across a range of prices.
+ * Every leg is valued with Black-Scholes using its own 'iv' if set, otherwise the model volatility.
+ * Legs with an expiration date are measured from model.valuationDate, the others use model.daysToExpiry.
+ * @param {Array<Object>} optionsPositions - Array of option positions with qty, type, and strike.
+ * @param {number} minPrice - The minimum underlying price to calculate.
+ * @param {number} maxPrice - The maximum underlying price to calculate.
+ * @param {number} priceStep - The increment for each price point in the range.
+ * @param {Object} model - Pricing inputs: volatility (decimal), rate (decimal), valuationDate and daysToExpiry.
+ * @returns {Array<object>} An array of objects, each with 'closingPrice' and 'totalTheoreticalValue'.
+ */
+function calculatePortfolioTheoreticalValue(optionsPositions, minPrice, maxPrice, priceStep, model) {
+    if (!Array.isArray(optionsPositions) || optionsPositions.length === 0) {
+        throw new Error("optionsPositions must be a non-empty array of option configurations.");
+    }
+
+    if (minPrice >= maxPrice) {
+        throw new Error("minPrice must be less than maxPrice");
+    }
+
+    if (priceStep <= 0) {
+        throw new Error("priceStep must be greater than 0");
+    }
+
+    if (!model) {
+        throw new Error("model must be provided to calculate theoretical values");
+    }
+
+    assertPositionsHaveVolatility(optionsPositions, model);
+
+    const rate = model.rate || 0;
+    const valueCurve = [];
+
+    for (let closingPrice = minPrice; closingPrice <= maxPrice; closingPrice += priceStep) {
+        let portfolioTotalTheoreticalValue = 0;
+
+        for (const position of optionsPositions) {
+            const { qty, type, strike } = position;
+
+            if (type === 'c' || type === 'p') {
+                const yearsToExpiry = getYearsToExpiry(position, model);
+                const optionValue = blackScholesPrice(type, closingPrice, strike, yearsToExpiry, position.iv || model.volatility, rate);
+                portfolioTotalTheoreticalValue += optionValue * qty * getPositionMultiplier(position);
+            } else if (isUnderlyingPosition(position)) {
+                portfolioTotalTheoreticalValue += closingPrice * qty * getPositionMultiplier(position);
+            }
+        }
+
+        valueCurve.push({
+            closingPrice: parseFloat(closingPrice.toFixed(2)),
+            totalTheoreticalValue: parseFloat(portfolioTotalTheoreticalValue.toFixed(2))
+        });
+    }
+
+    return valueCurve;
+}
+
+/**
+ * Probability that the underlying finishes at or below a price under a lognormal (risk-neutral) model.
+ * @param {number} price - The terminal price to evaluate.
+ * @param {Object} model - underlyingPrice, volatility (decimal), yearsToExpiry and rate (decimal).
+ * @returns {number} The cumulative probability.
+ */
+function lognormalCdf(price, model) {
+    if (price <= 0) {
+        return 0;
+    }
+    if (price === Infinity) {
+        return 1;
+    }
+    const { underlyingPrice, volatility, yearsToExpiry, rate = 0 } = model;
+    const volSqrtT = volatility * Math.sqrt(yearsToExpiry);
+    const d2 = (Math.log(underlyingPrice / price) + (rate - volatility * volatility / 2) * yearsToExpiry) / volSqrtT;
+    return normalCdf(-d2);
+}
+
+/**
+ * Density of the terminal underlying price under a lognormal (risk-neutral) model.
+ * @param {number} price - The terminal price to evaluate.
+ * @param {Object} model - underlyingPrice, volatility (decimal), yearsToExpiry and rate (decimal).
+ * @returns {number} The probability density at the price.
+ */
+function lognormalPdf(price, model) {
+    if (price <= 0) {
+        return 0;
+    }
+    const { underlyingPrice, volatility, yearsToExpiry, rate = 0 } = model;
+    const volSqrtT = volatility * Math.sqrt(yearsToExpiry);
+    const d2 = (Math.log(underlyingPrice / price) + (rate - volatility * volatility / 2) * yearsToExpiry) / volSqrtT;
+    return normalPdf(d2) / (price * volSqrtT);
+}
+
+/**
+ * Expected value of the terminal price restricted to an interval, E[S; low < S < high].
+ * @param {number} low - Lower bound of the interval (0 for no bound).
+ * @param {number} high - Upper bound of the interval (Infinity for no bound).
+ * @param {Object} model - underlyingPrice, volatility (decimal), yearsToExpiry and rate (decimal).
+ * @returns {number} The partial expectation of the price over the interval.
+ */
+function lognormalPartialExpectation(low, high, model) {
+    const { underlyingPrice, volatility, yearsToExpiry, rate = 0 } = model;
+    const volSqrtT = volatility * Math.sqrt(yearsToExpiry);
+    const probabilityAbove = price => {
+        if (price <= 0) return 1;
+        if (price === Infinity) return 0;
+        return normalCdf((Math.log(underlyingPrice / price) + (rate + volatility * volatility / 2) * yearsToExpiry) / volSqrtT);
+    };
+    return underlyingPrice * Math.exp(rate * yearsToExpiry) * (probabilityAbove(low) - probabilityAbove(high));
+}
+
+/**
+ * Probability that the underlying touches a price at any time before expiration,
+ * using the reflection principle for geometric Brownian motion.
+ * @param {number} barrier - The price level to touch.
+ * @param {Object} model - underlyingPrice, volatility (decimal), yearsToExpiry and rate (decimal).
+ * @returns {number} The probability of touching the barrier.
+ */
+function calculateTouchProbability(barrier, model) {
+    const { underlyingPrice, volatility, yearsToExpiry, rate = 0 } = model;
+    if (barrier === underlyingPrice) {
+        return 1;
+    }
+    const drift = rate - volatility * volatility / 2;
+    const volSqrtT = volatility * Math.sqrt(yearsToExpiry);
+    const logDistance = Math.log(barrier / underlyingPrice);
+    const reflection = Math.pow(barrier / underlyingPrice, 2 * drift / (volatility * volatility));
+
+    if (barrier > underlyingPrice) {
+        return Math.min(1, normalCdf((-logDistance + drift * yearsToExpiry) / volSqrtT) +
+            reflection * normalCdf((-logDistance - drift * yearsToExpiry) / volSqrtT));
+    }
+    return Math.min(1, normalCdf((logDistance - drift * yearsToExpiry) / volSqrtT) +
+        reflection * normalCdf((logDistance + drift * yearsToExpiry) / volSqrtT));
+}
+
+/**
+ * Calculate probability of profit, probability of max profit, break-even touch probabilities and
+ * expected P&L for a value curve under a lognormal terminal distribution.
+ * P&L is treated as piecewise linear between the curve points and extended linearly beyond both ends,
+ * so the integration is exact for expiration payoffs whose strikes are inside the curve range.
+ * @param {Array<object>} valueCurve - Array of objects with closingPrice and totalIntrinsicValue
+ * @param {number} cost - The total cost of the position
+ * @param {Object} model - underlyingPrice, volatility (decimal), yearsToExpiry and rate (decimal).
+ * @returns {object} probabilityOfProfit, probabilityOfMaxProfit, maxProfit, expectedValue and breakEvens
+ *   (each with closingPrice and touchProbability).
+ */
+function calculateProbabilityMetrics(valueCurve, cost, model) {
+    if (!Array.isArray(valueCurve) || valueCurve.length < 2) {
+        throw new Error("valueCurve must contain at least two points");
+    }
+    if (!(model.underlyingPrice > 0) || !(model.volatility > 0) || !(model.yearsToExpiry > 0)) {
+        throw new Error("model must provide a positive underlyingPrice, volatility and yearsToExpiry");
+    }
+
+    const points = valueCurve.map(point => ({ price: point.closingPrice, pnl: point.totalIntrinsicValue - cost }));
+    const first = points[0];
+    const last = points[points.length - 1];
+    const lowerSlope = (points[1].pnl - first.pnl) / (points[1].price - first.price);
+    const upperSlope = (last.pnl - points[points.length - 2].pnl) / (last.price - points[points.length - 2].price);
+
+    // Linear pieces covering (0, Infinity): the lower tail, each curve segment, then the upper tail
+    const segments = [{ low: 0, high: first.price, anchor: first, slope: lowerSlope }];
+    for (let i = 1; i < points.length; i++) {
+        const slope = (points[i].pnl - points[i - 1].pnl) / (points[i].price - points[i - 1].price);
+        segments.push({ low: points[i - 1].price, high: points[i].price, anchor: points[i - 1], slope });
+    }
+    segments.push({ low: last.price, high: Infinity, anchor: last, slope: upperSlope });
+
+    // The curve can't go beyond its lower tail value at a price of zero, but is unlimited if it keeps rising
+    const pnlAtZero = first.pnl - lowerSlope * first.price;
+    const maxProfit = upperSlope > 0 ? Infinity : Math.max(pnlAtZero, ...points.map(point => point.pnl));
+    const maxProfitTolerance = Math.max(0.01, Math.abs(maxProfit) * 1e-6);
+
+    let probabilityOfProfit = 0;
+    let probabilityOfMaxProfit = 0;
+    let expectedValue = 0;
+    const breakEvenPrices = [];
+
+    segments.forEach(({ low, high, anchor, slope }) => {
+        const intercept = anchor.pnl - slope * anchor.price;
+        const mass = lognormalCdf(high, model) - lognormalCdf(low, model);
+
+        // Expected P&L: integral of (intercept + slope * S) over the terminal distribution
+        expectedValue += intercept * mass + (slope !== 0 ? slope * lognormalPartialExpectation(low, high, model) : 0);
+
+        if (slope === 0) {
+            if (anchor.pnl > 0) probabilityOfProfit += mass;
+            if (anchor.pnl >= maxProfit - maxProfitTolerance) probabilityOfMaxProfit += mass;
+            return;
+        }
+
+        // A linear piece crosses zero at most once; it is profitable above the root when rising, below it when falling
+        const root = -intercept / slope;
+        if (root > 0 && root >= low && root < high) {
+            breakEvenPrices.push(root);
+        }
+        const profitLow = slope > 0 ? Math.max(low, root) : low;
+        const profitHigh = slope > 0 ? high : Math.min(high, root);
+        if (profitHigh > profitLow) {
+            probabilityOfProfit += lognormalCdf(profitHigh, model) - lognormalCdf(profitLow, model);
+        }
+    });
+
+    return {
+        probabilityOfProfit,
+        probabilityOfMaxProfit,
+        maxProfit,
+        expectedValue,
+        breakEvens: breakEvenPrices.map(price => ({
+            closingPrice: price,
+            touchProbability: calculateTouchProbability(price, model)
+        }))
+    };
+}
+
+/**
+ * Calculate the lognormal density of the terminal underlying price across a range of prices.
+ * @param {number} minPrice - The minimum underlying price to calculate.
+ * @param {number} maxPrice - The maximum underlying price to calculate.
+ * @param {number} priceStep - The increment for each price point in the range.
+ * @param {Object} model - underlyingPrice, volatility (decimal), yearsToExpiry and rate (decimal).
+ * @returns {Array<object>} An array of objects, each with 'closingPrice' and 'density'.
+ */
+function calculateDistributionCurve(minPrice, maxPrice, priceStep, model) {
+    const distributionCurve = [];
+    for (let closingPrice = minPrice; closingPrice <= maxPrice; closingPrice += priceStep) {
+        distributionCurve.push({
+            closingPrice: parseFloat(closingPrice.toFixed(2)),
+            density: lognormalPdf(closingPrice, model)
+        });
+    }
+    return distributionCurve;
+}
+
+/**
+ * Solve the expiration payoff exactly instead of on a price grid. At expiration the position's value is
+ * piecewise linear in the underlying price with kinks only at the strikes, so it is known everywhere from its
+ * value at zero and at each strike, and its slope above the highest strike. Below the lowest strike the price
+ * can only fall to zero, so only the right tail can be unlimited.
+ * @param {Array<Object>} optionsPositions - Combined legs with qty, type, strike and optional expiration.
+ * @param {number} cost - The total cost of the position.
+ * @param {string|null} valuationDate - Date the position is evaluated at, or null for the front expiration.
+ * @returns {Object|null} { breakEvens (prices), maxProfit, maxLoss, slope (dollars per point above the highest
+ *   strike) }, where maxProfit and maxLoss are { value (profit or loss against the cost), unlimited, ranges }
+ *   and ranges are the { from, to } prices where the value is reached (to is Infinity when it holds all the way up).
+ *   Null when some legs expire after the evaluation date, as their time value makes the payoff curved.
+ */
+function solveExpirationPayoff(optionsPositions, cost, valuationDate = null) {
+    const evaluationDate = valuationDate || getFrontExpiration(optionsPositions);
+    if (optionsPositions.some(position => evaluationDate && position.expiration && position.expiration > evaluationDate)) {
+        return null;
+    }
+
+    const valueAt = price => optionsPositions.reduce((total, position) => {
+        const multiplier = position.qty * getPositionMultiplier(position);
+        if (position.type === 'c') {
+            return total + Math.max(0, price - position.strike) * multiplier;
+        }
+        if (position.type === 'p') {
+            return total + Math.max(0, position.strike - price) * multiplier;
+        }
+        return isUnderlyingPosition(position) ? total + price * multiplier : total;
+    }, 0);
+
+    // Slope above the highest strike: every call and underlying leg moves one for one there
+    const slope = optionsPositions.reduce((total, position) => (
+        position.type === 'c' || isUnderlyingPosition(position) ? total + position.qty * getPositionMultiplier(position) : total
+    ), 0);
+
+    const prices = [0, ...new Set(optionsPositions
+        .filter(position => !isUnderlyingPosition(position) && position.strike > 0)
+        .map(position => position.strike))]
+        .sort((a, b) => a - b);
+    const profits = prices.map(price => valueAt(price) - cost);
+
+    // Round away floating point noise, so equal values compare equal and prices print cleanly
+    const round = value => Math.round(value * 1e6) / 1e6;
+    const isZero = value => Math.abs(value) < 1e-9;
+
+    // A break-even at a price of zero isn't one a position can be closed at, so it's left out
+    const breakEvens = [];
+    prices.forEach((price, index) => {
+        if (isZero(profits[index]) && price > 0) {
+            breakEvens.push(price);
+        }
+        const nextProfit = index + 1 < prices.length ? profits[index + 1] : null;
+        if (nextProfit !== null && !isZero(profits[index]) && !isZero(nextProfit) && (profits[index] < 0) !== (nextProfit < 0)) {
+            const nextPrice = prices[index + 1];
+            breakEvens.push(price + (nextPrice - price) * profits[index] / (profits[index] - nextProfit));
+        }
+    });
+    const lastProfit = profits[profits.length - 1];
+    if (!isZero(slope) && !isZero(lastProfit) && (lastProfit < 0) === (slope > 0)) {
+        breakEvens.push(prices[prices.length - 1] - lastProfit / slope);
+    }
+
+    // Prices where the best or worst value is reached, joining neighbouring strikes that share it
+    const findExtreme = (pick, isUnlimited) => {
+        if (isUnlimited) {
+            return { value: pick > 0 ? Infinity : -Infinity, unlimited: true, ranges: [] };
+        }
+        const value = pick > 0 ? Math.max(...profits) : Math.min(...profits);
+        const ranges = [];
+        prices.forEach((price, index) => {
+            if (Math.abs(profits[index] - value) > 1e-9) {
+                return;
+            }
+            const previous = ranges[ranges.length - 1];
+            if (previous && previous.to === prices[index - 1] && Math.abs(profits[index - 1] - value) <= 1e-9) {
+                previous.to = price;
+            } else {
+                ranges.push({ from: price, to: price });
+            }
+        });
+        const last = ranges[ranges.length - 1];
+        if (isZero(slope) && last.to === prices[prices.length - 1]) {
+            last.to = Infinity;
+        }
+        return { value: round(value), unlimited: false, ranges };
+    };
+
+    return {
+        breakEvens: breakEvens.map(round),
+        maxProfit: findExtreme(1, slope > 1e-9),
+        maxLoss: findExtreme(-1, slope < -1e-9),
+        slope: round(slope)
+    };
+}
+
+/**
+ * Estimate the capital a position ties up, as Reg-T strategy margin and as a portfolio margin stress test.
+ *
+ * Reg-T: short options that long options of the same type don't cover (and, for calls, long shares or futures)
+ * are naked. Each naked short needs its premium plus the greater of 20% of the underlying price less the amount
+ * it is out of the money, or 10% of the underlying price for calls and of the strike for puts. The shorts that
+ * need the most are covered first. Naked calls and puts together only need the side that needs more, plus the
+ * other side's premium, as both can't lose at once. The rest of the position is defined risk and needs its max loss at expiration,
+ * with the naked legs' premiums taken off the cost. Shares and futures count at their entry price times their quantity,
+ * or the underlying price for legs without one, whatever the position's cost says. Legs expiring on different
+ * dates have no exact max loss, so there the defined-risk part needs what it cost.
+ *
+ * Portfolio margin: the largest loss from the position's value now when the underlying moves by up to stressPct
+ * percent either way, checked at ten prices on each side.
+ * @param {Array<Object>} optionsPositions - Combined legs with qty, type, strike and optional expiration.
+ * @param {number} underlyingPrice - The underlying price now.
+ * @param {Object} options - optionsCost (the position's cost without its shares and futures), stressPct (default 15), and model (pricing inputs to value
+ *   the options now with Black-Scholes: volatility, rate, valuationDate and daysToExpiry), or null to value them
+ *   at their intrinsic value.
+ * @returns {Object} { regT: { requirement (null when the loss is unlimited), definedRisk (likewise), naked: [{ qty,
+ *   type, strike, expiration, multiplier, premium, requirement }] }, portfolioMargin: { requirement, stressPct, worstPrice } }
+ */
+function estimateMarginRequirement(optionsPositions, underlyingPrice, { optionsCost = 0, stressPct = 15, model = null } = {}) {
+    if (!(underlyingPrice > 0)) {
+        throw new Error("underlyingPrice must be a positive price");
+    }
+    if (!(stressPct > 0)) {
+        throw new Error("stressPct must be a positive percentage");
+    }
+    if (model) {
+        assertPositionsHaveVolatility(optionsPositions, model);
+    }
+
+    // Option prices per share now, at a given underlying price
+    const priceOption = (position, price) => (model ?
+        blackScholesPrice(position.type, price, position.strike, getYearsToExpiry(position, model), position.iv || model.volatility, model.rate || 0) :
+        blackScholesPrice(position.type, price, position.strike, 0, 0));
+    const valueAt = price => optionsPositions.reduce((total, position) => {
+        const multiplier = position.qty * getPositionMultiplier(position);
+        if (position.type === 'c' || position.type === 'p') {
+            return total + priceOption(position, price) * multiplier;
+        }
+        return isUnderlyingPosition(position) ? total + price * multiplier : total;
+    }, 0);
+
+    // Cover the short options with the long ones, counted in shares so legs with other multipliers still match
+    const naked = [];
+    const definedLegs = optionsPositions.filter(position => position.type && position.qty !== 0).map(position => ({ ...position }));
+    ['c', 'p'].forEach(type => {
+        const nakedPerShare = position => {
+            const outOfTheMoney = type === 'c' ? Math.max(0, position.strike - underlyingPrice) : Math.max(0, underlyingPrice - position.strike);
+            return priceOption(position, underlyingPrice) +
+                Math.max(0.2 * underlyingPrice - outOfTheMoney, 0.1 * (type === 'c' ? underlyingPrice : position.strike));
+        };
+        let cover = definedLegs
+            .filter(position => position.qty > 0 && (position.type === type || (type === 'c' && isUnderlyingPosition(position))))
+            .reduce((sum, position) => sum + position.qty * getPositionMultiplier(position), 0);
+
+        definedLegs
+            .filter(position => position.type === type && position.qty < 0)
+            .sort((a, b) => nakedPerShare(b) - nakedPerShare(a))
+            .forEach(position => {
+                const multiplier = getPositionMultiplier(position);
+                const covered = Math.min(-position.qty * multiplier, cover);
+                const nakedQty = -position.qty - covered / multiplier;
+                cover -= covered;
+                if (nakedQty > 0) {
+                    naked.push({
+                        qty: -nakedQty,
+                        type,
+                        strike: position.strike,
+                        ...(position.expiration && { expiration: position.expiration }),
+                        multiplier,
+                        premium: priceOption(position, underlyingPrice),
+                        requirement: nakedQty * multiplier * nakedPerShare(position)
+                    });
+                    position.qty += nakedQty;
+                }
+            });
+    });
+
+    // The naked legs were sold for about their premium, which is part of the cost
+    const remainingLegs = definedLegs.filter(position => position.qty !== 0);
+    const underlyingCost = remainingLegs
+        .filter(isUnderlyingPosition)
+        .reduce((sum, position) => sum + position.qty * getPositionMultiplier(position) * (position.entryPrice ?? underlyingPrice), 0);
+    const definedCost = naked.reduce((sum, leg) => sum - leg.qty * leg.multiplier * leg.premium, optionsCost + underlyingCost);
+    let definedRisk = 0;
+    if (remainingLegs.length > 0) {
+        const payoff = solveExpirationPayoff(remainingLegs, definedCost);
+        if (!payoff) {
+            definedRisk = Math.max(0, definedCost);
+        } else {
+            definedRisk = payoff.maxLoss.unlimited ? null : Math.max(0, -payoff.maxLoss.value);
+        }
+    }
+
+    // Stress the underlying price up and down from where it is now
+    const stressSteps = 10;
+    const currentValue = valueAt(underlyingPrice);
+    let worst = { loss: 0, price: underlyingPrice };
+    for (let step = -stressSteps; step <= stressSteps; step++) {
+        const price = underlyingPrice * (1 + (stressPct / 100) * (step / stressSteps));
+        const loss = currentValue - valueAt(price);
+        if (loss > worst.loss) {
+            worst = { loss, price };
+        }
+    }
+
+    // Naked calls and puts together need the larger side's requirement and the other side's premium
+    const nakedSide = type => naked
+        .filter(leg => leg.type === type)
+        .reduce((side, leg) => ({
+            requirement: side.requirement + leg.requirement,
+            premium: side.premium - leg.qty * leg.multiplier * leg.premium
+        }), { requirement: 0, premium: 0 });
+    const nakedCalls = nakedSide('c');
+    const nakedPuts = nakedSide('p');
+    const nakedRequirement = nakedCalls.requirement > 0 && nakedPuts.requirement > 0 ?
+        Math.max(nakedCalls.requirement + nakedPuts.premium, nakedPuts.requirement + nakedCalls.premium) :
+        nakedCalls.requirement + nakedPuts.requirement;
+
+    const round = value => parseFloat(value.toFixed(2));
+    return {
+        regT: {
+            requirement: definedRisk === null ? null : round(definedRisk + nakedRequirement),
+            definedRisk: definedRisk === null ? null : round(definedRisk),
+            naked: naked.map(leg => ({ ...leg, premium: round(leg.premium), requirement: round(leg.requirement) }))
+        },
+        portfolioMargin: {
+            requirement: round(worst.loss),
+            stressPct,
+            worstPrice: round(worst.price)
+        }
+    };
+}
+
+/**
+ * Find key points on the value curve: local lows, highs, and break-even points.
+ * @param {Array<object>} valueCurve - Array of objects with closingPrice and totalIntrinsicValue
+ * @param {number} cost - The total cost of the position
+ * @returns {Array<object>} Array of key points with type and value information
+ */
+function findKeyPointsOnCurve(valueCurve, cost) {
+    if (!Array.isArray(valueCurve) || valueCurve.length < 3) {
+        return [];
+    }
+
+    const keyPoints = [];
+    let trend = null; // 'up', 'down', or 'flat'
+    let lastNonFlatPoint = null;
+    let flatStartIndex = null;
+
+    // Check the first point - if it's different from the second point, mark it
+    if (valueCurve.length >= 2) {
+        const first = valueCurve[0];
+        const second = valueCurve[1];
+        const firstValue = first.totalIntrinsicValue - cost;
+        const secondValue = second.totalIntrinsicValue - cost;
+        
+        if (firstValue !== secondValue) {
+            keyPoints.push({
+                type: 'curve_endpoint',
+                closingPrice: first.closingPrice,
+                totalIntrinsicValue: first.totalIntrinsicValue,
+                description: 'Curve Start'
+            });
+        }
+    }
+
+    for (let i = 1; i < valueCurve.length - 1; i++) {
+        const prev = valueCurve[i - 1];
+        const current = valueCurve[i];
+        const next = valueCurve[i + 1];
+
+        const prevValue = prev.totalIntrinsicValue - cost;
+        const currentValue = current.totalIntrinsicValue - cost;
+        const nextValue = next.totalIntrinsicValue - cost;
+
+        // Determine current trend
+        let currentTrend;
+        if (currentValue > prevValue) {
+            currentTrend = 'up';
+        } else if (currentValue < prevValue) {
+            currentTrend = 'down';
+        } else {
+            currentTrend = 'flat';
+        }
+
+        // Handle trend changes
+        if (trend !== currentTrend) {
+            if (trend !== 'up' && currentTrend === 'up') {
+                // Low point (trend changes from down to up)
+                keyPoints.push({
+                    type: 'low_point',
+                    closingPrice: prev.closingPrice,
+                    totalIntrinsicValue: prev.totalIntrinsicValue,
+                    description: 'Low point'
+                });
+            } else if (trend !== 'down' && currentTrend === 'down') {
+                // High point (trend changes from up to down)
+                keyPoints.push({
+                    type: 'high_point',
+                    closingPrice: prev.closingPrice,
+                    totalIntrinsicValue: prev.totalIntrinsicValue,
+                    description: 'High point'
+                });
+            } else if (trend === 'flat' && currentTrend !== 'flat') {
+                // Transition from flat to trend - use the last non-flat point as the turning point
+                if (lastNonFlatPoint) {
+                    const pointType = currentTrend === 'up' ? 'low_point' : 'high_point';
+                    const description = currentTrend === 'up' ? 'Low point (after flat)' : 'High point (after flat)';
+                    
+                    keyPoints.push({
+                        type: pointType,
+                        closingPrice: lastNonFlatPoint.closingPrice,
+                        totalIntrinsicValue: lastNonFlatPoint.totalIntrinsicValue,
+                        description: description
+                    });
+                }
+            }
+
+            trend = currentTrend;
+        }
+
+         // Check for zero crossing (profit/loss crosses zero)
+        if ((prevValue < 0 && currentValue >= 0) || (prevValue > 0 && currentValue <= 0)) {
+            keyPoints.push({
+                type: 'zero_crossing',
+                closingPrice: current.closingPrice,
+                totalIntrinsicValue: current.totalIntrinsicValue,
+                description: 'Break-even'
+            });
+        }
+
+        // Track the last non-flat point
+        if (currentTrend !== 'flat') {
+            lastNonFlatPoint = current;
+        }
+    }
+
+    // Check the last point - if it's different from the second-to-last point, mark it
+    if (valueCurve.length >= 2) {
+        const last = valueCurve[valueCurve.length - 1];
+        const secondLast = valueCurve[valueCurve.length - 2];
+        const lastValue = last.totalIntrinsicValue - cost;
+        const secondLastValue = secondLast.totalIntrinsicValue - cost;
+        
+        if (lastValue !== secondLastValue) {
+            keyPoints.push({
+                type: 'curve_endpoint',
+                closingPrice: last.closingPrice,
+                totalIntrinsicValue: last.totalIntrinsicValue,
+                description: 'Curve End'
+            });
+        }
+    }
+
+    return keyPoints;
+}
+
+/**
+ * Check that a string is a real calendar date.
+ * @param {string} value - The date to check.
+ * @returns {boolean} True for a valid YYYY-MM-DD date.
+ */
+function isValidDate(value) {
+    // Months and days out of range don't parse at all, and days past the end of a month roll over
+    return /^\d{4}-\d{2}-\d{2}$/.test(value) && !Number.isNaN(Date.parse(`${value}T00:00:00Z`)) &&
+        shiftDate(value, 0) === value;
+}
+
+/**
+ * Today's local date.
+ * @returns {string} The date as YYYY-MM-DD.
+ */
+function getTodayDate() {
+    const today = new Date();
+    const month = String(today.getMonth() + 1).padStart(2, '0');
+    const day = String(today.getDate()).padStart(2, '0');
+    return `${today.getFullYear()}-${month}-${day}`;
+}
+
+/**
+ * Key used to combine legs: the same type, strike, expiration and multiplier (shares and futures have no strike).
+ * The multiplier only appears when it differs from the position's default.
+ * @param {Object} option - A leg with 'type', 'strike' and optional 'expiration' and 'multiplier'.
+ * @param {number} contractMultiplier - The position's multiplier for option and futures legs.
+ * @returns {string} The key, e.g. 'c620', 'p500/2026-03-20' or 's'.
+ */
+function getOptionKey(option, contractMultiplier = 100) {
+    const defaultMultiplier = option.type === 's' ? 1 : contractMultiplier;
+    const multiplierSuffix = option.multiplier && option.multiplier !== defaultMultiplier ? `x${option.multiplier}` : '';
+    if (isUnderlyingPosition(option)) {
+        return `${option.type}${multiplierSuffix}`;
+    }
+    return `${option.type}${option.strike}${option.expiration ? `/${option.expiration}` : ''}${multiplierSuffix}`;
+}
+
+/**
+ * Format a leg in the optionArray notation, e.g. -1c820/2026-03-20 or 100s.
+ * @param {Object} option - A leg with 'qty' and the fields used by getOptionKey.
+ * @param {number} contractMultiplier - The position's multiplier for option and futures legs.
+ * @returns {string} The formatted leg.
+ */
+function formatOptionLeg(option, contractMultiplier = 100) {
+    return `${option.qty}${getOptionKey(option, contractMultiplier)}`;
+}
+
+/**
+ * Combine legs with the same key by adding up their quantities. Standalone cost adjustments are skipped,
+ * and the combined legs drop the labels and groups of the legs they were made from.
+ * @param {Array<Object>} positions - Legs in the order they were entered.
+ * @param {number} contractMultiplier - The position's multiplier for option and futures legs.
+ * @returns {Array<Object>} One leg per key, including any whose quantities net to zero.
+ */
+function combinePositions(positions, contractMultiplier = 100) {
+    const combined = new Map();
+    positions.forEach(position => {
+        if (!position.type) {
+            return;
+        }
+        const key = getOptionKey(position, contractMultiplier);
+        if (combined.has(key)) {
+            combined.get(key).qty += position.qty;
+        } else {
+            const { label, group, ...leg } = position;
+            combined.set(key, leg);
+        }
+    });
+    return Array.from(combined.values());
+}
+
+/**
+ * Replay journal legs in order, matching each against the open lots of the same key first in, first out.
+ * A leg that goes the other way to the open lots closes them, oldest first, and realizes the difference
+ * between the two fill prices; whatever is left of it opens a new lot. Standalone cost adjustments are skipped.
+ * @param {Array<Object>} legs - Legs with a fillPrice and time, in time order.
+ * @param {number} contractMultiplier - The position's multiplier for option and futures legs.
+ * @returns {Object} { openLots: [{ key, qty, fillPrice, time, note, costBasis }], closedLots: [{ key, qty, openPrice,
+ *   openTime, closePrice, closeTime, note, realizedPnL }], openCost, realizedPnL }. The qty of a closed lot has
+ *   the sign of the lot it closed, and the note is that of the closing leg.
+ */
+function trackJournalLots(legs, contractMultiplier = 100) {
+    const lotsByKey = new Map();
+    const closedLots = [];
+
+    legs.forEach(leg => {
+        if (!leg.type || leg.qty === 0) {
+            return;
+        }
+        const key = getOptionKey(leg, contractMultiplier);
+        const multiplier = getPositionMultiplier(leg);
+        const lots = lotsByKey.get(key) || [];
+        let remaining = leg.qty;
+
+        while (remaining !== 0 && lots.length > 0 && Math.sign(lots[0].qty) !== Math.sign(remaining)) {
+            const lot = lots[0];
+            const qty = Math.sign(lot.qty) * Math.min(Math.abs(lot.qty), Math.abs(remaining));
+            closedLots.push({
+                key,
+                qty,
+                openPrice: lot.fillPrice,
+                openTime: lot.time,
+                closePrice: leg.fillPrice,
+                closeTime: leg.time,
+                note: leg.note || null,
+                realizedPnL: qty * (leg.fillPrice - lot.fillPrice) * multiplier
+            });
+            lot.qty -= qty;
+            lot.costBasis = lot.qty * lot.fillPrice * multiplier;
+            remaining += qty;
+            if (lot.qty === 0) {
+                lots.shift();
+            }
+        }
+
+        if (remaining !== 0) {
+            lots.push({
+                key,
+                qty: remaining,
+                fillPrice: leg.fillPrice,
+                time: leg.time,
+                note: leg.note || null,
+                costBasis: remaining * leg.fillPrice * multiplier
+            });
+        }
+        lotsByKey.set(key, lots);
+    });
+
+    const openLots = Array.from(lotsByKey.values()).flat();
+    return {
+        openLots,
+        closedLots,
+        openCost: openLots.reduce((sum, lot) => sum + lot.costBasis, 0),
+        realizedPnL: closedLots.reduce((sum, lot) => sum + lot.realizedPnL, 0)
+    };
+}
+
+/**
+ * Calculate the cost of some of a position's legs: the position's cost less the fills and cost adjustments
+ * of the legs left out. Shares and futures are valued at their whole notional, so leaving one out has to
+ * leave out its entry cost too, or the curve of the other legs shifts by that notional.
+ * @param {Array<Object>} legs - All the legs of the position.
+ * @param {Array<Object>} shownLegs - The legs to cost, taken from legs.
+ * @param {number} cost - The cost of the whole position, manual or from its fills.
+ * @returns {number} The cost of shownLegs.
+ */
+function calculateSubsetCost(legs, shownLegs, cost) {
+    const shown = new Set(shownLegs);
+    return legs
+        .filter(leg => !shown.has(leg))
+        .reduce((sum, leg) => sum - (leg.costBasis || 0) - (leg.costAdjustment || 0), cost);
+}
+
+/**
+ * Parse the optional Black-Scholes inputs (iv, rate, dte, tPlus) from the input.
+ * iv may be left out when every leg has its own iv or one solved from the live chain.
+ * dte may be left out when the legs carry expiration dates; it then defaults to the days to the front expiration.
+ * @param {Object} input - The parsed input JSON.
+ * @param {Array<Object>} positions - All legs, used to find the front and back-month expirations.
+ * @param {string} today - Today's date as YYYY-MM-DD.
+ * @returns {Object|null} { volatility, rate, daysToExpiry, curveDays }, or null when no pricing inputs are given.
+ */
+function parsePricingModel(input, positions, today = getTodayDate()) {
+    const { iv, rate, dte, tPlus } = input;
+    const frontExpiration = getFrontExpiration(positions);
+    const hasBackMonthLegs = positions.some(position => position.expiration && position.expiration > frontExpiration);
+    if (iv == null && dte == null && !hasBackMonthLegs) {
+        return null;
+    }
+    if (iv != null && (typeof iv !== 'number' || !(iv > 0))) {
+        throw new Error('iv must be a positive decimal volatility (example: 0.2 for 20%)');
+    }
+    if (dte != null && (typeof dte !== 'number' || !(dte > 0))) {
+        throw new Error('dte must be a positive number of days to expiration');
+    }
+    if (dte == null && !frontExpiration) {
+        throw new Error('dte is required unless the legs have expiration dates');
+    }
+    if (rate != null && typeof rate !== 'number') {
+        throw new Error('rate must be a decimal interest rate (example: 0.05 for 5%)');
+    }
+
+    const daysToExpiry = dte != null ? dte : Math.max(0, daysBetween(today, frontExpiration));
+
+    // Default to a curve for today and one halfway to expiration
+    const requestedDays = tPlus != null ? tPlus : [0, Math.round(daysToExpiry / 2)];
+    if (!Array.isArray(requestedDays) || requestedDays.some(day => typeof day !== 'number' || day < 0)) {
+        throw new Error('tPlus must be an array of days from today (example: [0, 7])');
+    }
+
+    // The expiration curve is always drawn, so only keep days before expiration
+    const curveDays = [...new Set(requestedDays)]
+        .filter(day => day < daysToExpiry)
+        .sort((a, b) => a - b);
+
+    return {
+        volatility: iv || null,
+        rate: rate || 0,
+        daysToExpiry,
+        curveDays
+    };
+}
+
+/**
+ * Settings the input may set, besides the legs.
+ */
+const INPUT_SETTINGS = [
+    'cost', 'range', 'inc', 'iv', 'rate', 'dte', 'tPlus', 'price', 'greekSeries', 'multiplier', 'fills', 'showDistribution',
+    'stressPct'
+];
+
+/**
+ * Line and column (both 1-based) of a character offset in the input text.
+ * @param {string} text - The input text.
+ * @param {number} offset - Offset of the character.
+ * @returns {Object} { line, column }
+ */
+function locateOffset(text, offset) {
+    const before = text.slice(0, offset);
+    const lineStart = before.lastIndexOf('\n') + 1;
+    return {
+        line: before.split('\n').length,
+        column: offset - lineStart + 1
+    };
+}
+
+/**
+ * Check a journal entry's time: a date, optionally followed by a 24-hour time.
+ * @param {string} time - The time as typed, e.g. "2026-01-05" or "2026-01-05 09:45".
+ * @returns {boolean} True when the date is real and the time, if any, is within the day.
+ */
+function isValidJournalTime(time) {
+    const match = typeof time === 'string' && time.match(/^(\d{4}-\d{2}-\d{2})(?: ([01]\d|2[0-3]):[0-5]\d)?$/);
+    return Boolean(match) && isValidDate(match[1]);
+}
+
+/**
+ * Format a diagnostic for a message or the console, e.g. "Line 3, column 1: Invalid option format: 1x620".
+ * @param {Object} diagnostic - A diagnostic from analyzePositionInput.
+ * @returns {string} The formatted diagnostic.
+ */
+function formatDiagnostic(diagnostic) {
+    return `Line ${diagnostic.line}, column ${diagnostic.column}: ${diagnostic.message}`;
+}
+
+/**
+ * Split a line on a separator, ignoring separators inside double-quoted labels.
+ * @param {string} line - The line to split.
+ * @param {string} separator - A single character, e.g. ','.
+ * @returns {Array<Object>} { text, offset } for each piece, with the offset from the start of the line.
+ */
+function splitOutsideQuotes(line, separator) {
+    const pieces = [];
+    let start = 0;
+    let quoted = false;
+    for (let i = 0; i < line.length; i++) {
+        if (line[i] === '"') {
+            quoted = !quoted;
+        } else if (line[i] === separator && !quoted) {
+            pieces.push({ text: line.slice(start, i), offset: start });
+            start = i + 1;
+        }
+    }
+    pieces.push({ text: line.slice(start), offset: start });
+    return pieces;
+}
+
+/**
+ * Remove a '#' or '//' comment from a line, unless it is inside a double-quoted label.
+ * @param {string} line - The line as typed.
+ * @returns {string} The line up to the comment.
+ */
+function stripLineComment(line) {
+    let quoted = false;
+    for (let i = 0; i < line.length; i++) {
+        if (line[i] === '"') {
+            quoted = !quoted;
+        } else if (!quoted && (line[i] === '#' || line.startsWith('//', i))) {
+            return line.slice(0, i);
+        }
+    }
+    return line;
+}
+
+/**
+ * Convert a "key: value" setting's value from the line format to the type the JSON format would give it.
+ * @param {string} key - The setting name.
+ * @param {string} value - The value as typed.
+ * @returns {*} A number, boolean, array of days for tPlus, or the string itself.
+ */
+function readSettingValue(key, value) {
+    const isNumber = text => /^[+-]?(\d+(\.\d*)?|\.\d+)$/.test(text);
+    const quoted = value.match(/^"(.*)"$/);
+    if (quoted) {
+        return quoted[1];
+    }
+    if (value === 'true' || value === 'false') {
+        return value === 'true';
+    }
+    if (key === 'tPlus') {
+        const days = value.replace(/^\[|\]$/g, '').split(',').map(day => day.trim()).filter(day => day);
+        return days.every(isNumber) ? days.map(Number) : value;
+    }
+    return isNumber(value) ? Number(value) : value;
+}
+
+/**
+ * Read the line format: one or more comma-separated legs per line, "key: value" settings, '#' or '//' comments,
+ * a double-quoted label after a leg, and [Name] headers that group the legs below them into a named trade.
+ * Legs under a [scenario: Name] header are a what-if scenario instead; [temp] is the scenario named temp.
+ * A line of legs that starts with a date, and optionally a time, is a journal entry, and may end with a note
+ * after '|', as in "2026-01-05 09:45 1c620@3.45, -1c820@1.10 | opened the spread".
+ * @param {string} text - The input text.
+ * @param {Function} report - Called with (severity, message, offset, length) for each problem found.
+ * @returns {Object} { input (the settings), fields, legs: { optionArray, scenarios: [{ name, legs }] }, groups }
+ */
+function readLineInput(text, report) {
+    const input = {};
+    const fields = {};
+    const legs = { optionArray: [], scenarios: [] };
+    const groups = [];
+    let group = null;
+    let lineOffset = 0;
+
+    text.split('\n').forEach(rawLine => {
+        const offset = lineOffset;
+        lineOffset += rawLine.length + 1;
+        const line = stripLineComment(rawLine.replace(/\r$/, ''));
+        const content = line.trim();
+        if (!content) {
+            return;
+        }
+        const start = offset + line.indexOf(content);
+
+        const header = content.match(/^\[(.*)\]$/);
+        if (header) {
+            const name = header[1].trim();
+            if (!name) {
+                report('error', 'Group headers need a name, like [Iron condor]', start, content.length);
+            }
+            const scenarioMatch = name.match(/^scenario\s*:\s*(.*)$/i);
+            const scenario = /^temp$/i.test(name) ? 'temp' : scenarioMatch && scenarioMatch[1].trim();
+            if (scenarioMatch && !scenario) {
+                report('error', 'Scenario headers need a name, like [scenario: Roll up]', start, content.length);
+            }
+            group = groups.find(existing => existing.name === name);
+            if (!group) {
+                group = { name, scenario, legCount: 0, offset: start, length: content.length };
+                groups.push(group);
+                if (scenario && !legs.scenarios.some(existing => existing.name === scenario)) {
+                    legs.scenarios.push({ name: scenario, legs: [] });
+                }
+            }
+            return;
+        }
+
+        const setting = content.match(/^([A-Za-z]\w*)\s*:\s*(.*)$/);
+        if (setting) {
+            const key = setting[1];
+            if (key === 'optionArray' || key === 'tempOptionArray' || key === 'scenarios') {
+                report('error', `Write legs on their own lines instead of ${key}; legs under a [scenario: Name] header are a scenario`,
+                    start, content.length);
+            } else if (!INPUT_SETTINGS.includes(key)) {
+                report('warning', `Unknown setting "${key}" is ignored`, start, key.length);
+            } else {
+                if (fields[key]) {
+                    report('warning', `${key} is set more than once; the last value is used`, start, key.length);
+                }
+                input[key] = readSettingValue(key, setting[2].trim());
+                fields[key] = { offset: start, length: content.length };
+            }
+            return;
+        }
+
+        // Take a journal entry's date off the front of the line and its note off the end, keeping the
+        // legs' offsets
+        let legsLine = line;
+        let entry = null;
+        const dated = content.match(/^(\d{4}-\d{2}-\d{2}(?:[ T]\d{1,2}:\d{2})?)(?=\s|$)/);
+        if (dated) {
+            const time = dated[1].replace('T', ' ');
+            const dateStart = line.indexOf(content);
+            if (!isValidJournalTime(time)) {
+                report('error', `Invalid journal date: ${dated[1]}. Expected a date and optional time, like 2026-01-05 09:45`,
+                    start, dated[1].length);
+            } else if (group && group.scenario) {
+                report('error', 'Scenario legs are what-ifs and have no journal date', start, dated[1].length);
+            }
+            const pieces = splitOutsideQuotes(
+                line.slice(0, dateStart) + ' '.repeat(dated[1].length) + line.slice(dateStart + dated[1].length), '|');
+            legsLine = pieces[0].text;
+            entry = { time, note: pieces.slice(1).map(piece => piece.text).join('|').trim() || null };
+        }
+
+        splitOutsideQuotes(legsLine, ',').forEach(piece => {
+            const legText = piece.text.trim();
+            if (!legText) {
+                return;
+            }
+            const legOffset = offset + piece.offset + piece.text.indexOf(legText);
+            const labeled = legText.match(/^([^"\s]+)\s+"([^"]*)"$/);
+            const target = group && group.scenario ?
+                legs.scenarios.find(scenario => scenario.name === group.scenario).legs : legs.optionArray;
+            target.push({
+                value: labeled ? labeled[1] : legText,
+                ...(!labeled && legText.includes('"') && {
+                    error: 'Labels go after the leg in double quotes, like 1c620 "long call"'
+                }),
+                offset: legOffset,
+                length: labeled ? labeled[1].length : legText.length,
+                label: labeled ? labeled[2] : null,
+                group: group && !group.scenario ? group.name : null,
+                time: entry ? entry.time : null,
+                note: entry ? entry.note : null
+            });
+            if (group) {
+                group.legCount++;
+            }
+        });
+    });
+
+    groups
+        .filter(emptyGroup => emptyGroup.name && emptyGroup.legCount === 0)
+        .forEach(emptyGroup => report('warning', `Group [${emptyGroup.name}] has no legs`, emptyGroup.offset, emptyGroup.length));
+
+    return {
+        input,
+        fields,
+        legs,
+        groups: groups.filter(named => named.name && !named.scenario && named.legCount > 0).map(named => named.name)
+    };
+}
+
+/**
+ * Read the JSON format. Legs are found in the text in the order they appear, so their errors point at them.
+ * Option objects in an optionArray may carry a 'label' and a 'group', and a journal entry's 'time' and 'note'.
+ * Scenarios are given by name, as in
+ * "scenarios": { "Roll up": "-1c620,1c650" }, and a tempOptionArray is the scenario named temp.
+ * @param {string} text - The input text.
+ * @param {Function} report - Called with (severity, message, offset, length) for each problem found.
+ * @returns {Object|null} The same shape as readLineInput, or null when the text isn't valid JSON.
+ */
+function readJsonInput(text, report) {
+    // Whitespace inside strings becomes plain spaces, so optionArray strings may span several lines.
+    // Each character is replaced one for one, which keeps the offsets of the text as typed.
+    let input;
+    try {
+        input = JSON.parse(text.replace(/\s/g, ' '));
+    } catch (error) {
+        // Browsers give the position as an offset, or as a line and column
+        const position = error.message.match(/position (\d+)/);
+        const lineColumn = error.message.match(/line (\d+) column (\d+)/);
+        let offset = text.indexOf('{');
+        if (position) {
+            offset = parseInt(position[1], 10);
+        } else if (lineColumn) {
+            const lines = text.split('\n').slice(0, parseInt(lineColumn[1], 10) - 1);
+            offset = lines.reduce((sum, line) => sum + line.length + 1, 0) + parseInt(lineColumn[2], 10) - 1;
+        }
+        const message = error.message
+            .replace(/^JSON\.parse: /, '')
+            .replace(/ in JSON at position \d+.*$/, '')
+            .replace(/, ".*" is not valid JSON$/, '')
+            .replace(/ at line \d+ column \d+ of the JSON data$/, '');
+        report('error', `Invalid JSON: ${message}`, Math.min(offset, text.length), 1);
+        return null;
+    }
+    if (typeof input !== 'object' || input === null || Array.isArray(input)) {
+        report('error', 'The input must be a JSON object like { "optionArray": "1c620,-1c820" }', text.indexOf('{'), 1);
+        return null;
+    }
+
+    const fields = {};
+    Object.keys(input).forEach(key => {
+        const keyMatch = text.match(new RegExp(`"${key.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')}"\\s*:`));
+        fields[key] = keyMatch ? { offset: keyMatch.index, length: key.length + 2 } : { offset: 0, length: 0 };
+        if (!INPUT_SETTINGS.includes(key) && !['optionArray', 'tempOptionArray', 'scenarios'].includes(key)) {
+            report('warning', `Unknown setting "${key}" is ignored`, fields[key].offset, fields[key].length);
+        }
+    });
+
+    // Search for each leg from the end of the one before, so repeated legs point at their own occurrence
+    const locateLegs = (value, field, from = field.offset) => {
+        let cursor = from;
+        const locate = needle => {
+            const index = text.indexOf(needle, cursor);
+            if (index === -1) {
+                return { offset: field.offset, length: field.length };
+            }
+            cursor = index + needle.length;
+            return { offset: index, length: needle.length };
+        };
+        if (typeof value === 'string') {
+            return value
+                .split(',')
+                .map(optionStr => optionStr.trim())
+                .filter(optionStr => optionStr)
+                .map(optionStr => ({ value: optionStr, ...locate(optionStr) }));
+        }
+        return value.map(option => {
+            if (typeof option === 'string') {
+                return { value: option.trim(), ...locate(option.trim() || '""') };
+            }
+            if (typeof option === 'object' && option !== null && !Array.isArray(option)) {
+                const location = locate('{');
+                const close = text.indexOf('}', location.offset);
+                const length = close === -1 ? location.length : close - location.offset + 1;
+                if (option.time != null && !isValidJournalTime(option.time)) {
+                    report('error', `Invalid journal time: ${JSON.stringify(option.time)}. Expected "YYYY-MM-DD" or "YYYY-MM-DD HH:MM"`,
+                        location.offset, length);
+                }
+                return {
+                    value: option,
+                    offset: location.offset,
+                    length,
+                    label: typeof option.label === 'string' ? option.label : null,
+                    group: typeof option.group === 'string' ? option.group : null,
+                    time: typeof option.time === 'string' ? option.time : null,
+                    note: typeof option.note === 'string' ? option.note : null
+                };
+            }
+            return { value: option, ...locate(JSON.stringify(option)) };
+        });
+    };
+
+    const legs = { optionArray: null, scenarios: [] };
+    if (typeof input.optionArray === 'string' || Array.isArray(input.optionArray)) {
+        legs.optionArray = locateLegs(input.optionArray, fields.optionArray);
+    } else {
+        const field = fields.optionArray || { offset: text.indexOf('{'), length: 1 };
+        report('error', 'optionArray must be either a string or an array', field.offset, field.length);
+    }
+    if (typeof input.tempOptionArray === 'string' || Array.isArray(input.tempOptionArray)) {
+        legs.scenarios.push({ name: 'temp', legs: locateLegs(input.tempOptionArray, fields.tempOptionArray) });
+    }
+    if (input.scenarios != null) {
+        if (typeof input.scenarios !== 'object' || Array.isArray(input.scenarios)) {
+            report('error', 'scenarios must be an object of scenario names and their legs, like { "Roll up": "-1c620,1c650" }',
+                fields.scenarios.offset, fields.scenarios.length);
+        } else {
+            Object.entries(input.scenarios).forEach(([name, scenarioLegs]) => {
+                const nameOffset = text.indexOf(JSON.stringify(name), fields.scenarios.offset);
+                const field = nameOffset === -1 ? fields.scenarios : { offset: nameOffset, length: JSON.stringify(name).length };
+                if (typeof scenarioLegs !== 'string' && !Array.isArray(scenarioLegs)) {
+                    report('error', `The legs of scenario "${name}" must be either a string or an array`, field.offset, field.length);
+                } else if (legs.scenarios.some(scenario => scenario.name === name)) {
+                    report('error', `Scenario "${name}" is given twice`, field.offset, field.length);
+                } else {
+                    legs.scenarios.push({ name, legs: locateLegs(scenarioLegs, field) });
+                }
+            });
+        }
+    }
+
+    const groups = (legs.optionArray || [])
+        .map(leg => leg.group)
+        .filter((name, index, names) => name && names.indexOf(name) === index);
+    return { input, fields, legs, groups };
+}
+
+/**
+ * Turn the settings and legs read from either format into the calculator's inputs, reporting every bad leg
+ * and setting instead of stopping at the first.
+ * @param {Object} source - What readLineInput or readJsonInput returned.
+ * @param {Object} options - { today } overrides today's date (YYYY-MM-DD) for dte-less expirations.
+ * @param {Function} report - Called with (severity, message, offset, length) for each problem found.
+ * @returns {Object} The result described in parsePositionInput; only meaningful when no errors were reported.
+ */
+function buildPositionInput(source, options, report) {
+    const { input, fields } = source;
+    const reportField = (severity, key, message) => {
+        const field = fields[key] || { offset: 0, length: 0 };
+        report(severity, message, field.offset, field.length);
+    };
+
+    // Contract multiplier for option and futures legs, e.g. 50 for /ES options
+    let contractMultiplier = 100;
+    if (input.multiplier != null && (typeof input.multiplier !== 'number' || !(input.multiplier > 0))) {
+        reportField('error', 'multiplier', 'multiplier must be a positive number (example: 50 for /ES)');
+    } else if (input.multiplier) {
+        contractMultiplier = input.multiplier;
+    }
+
+    // Resolve a leg's multiplier: its own override, else 1 for shares and the position multiplier for options and futures
+    const resolveMultiplier = (type, multiplier) => {
+        if (multiplier != null) {
+            if (!(multiplier > 0)) {
+                throw new Error(`Invalid multiplier: ${multiplier}`);
+            }
+            return multiplier;
+        }
+        return type === 's' ? 1 : contractMultiplier;
+    };
+
+    // A journal dates its legs; they are replayed in time order, and each needs a fill price
+    const isJournal = (source.legs.optionArray || []).some(leg => leg.time);
+
+    // With fills on, "@" after an option is its fill price per share instead of a dollar cost adjustment.
+    // Journals always use fill prices.
+    const useFillPrices = input.fills === true || isJournal;
+
+    // Helper function to process a single option string
+    const processOptionString = (str) => {
+        // Check for standalone cost adjustment
+        const costMatch = str.match(/^@([+-]?\d+(?:\.\d+)?)$/i);
+        if (costMatch) {
+            return {
+                qty: 0,
+                type: null,
+                strike: null,
+                costAdjustment: parseFloat(costMatch[1])
+            };
+        }
+
+        // Check for shares or futures with an optional multiplier and their entry price, e.g. 100s@450.25 or -1fx50@5000
+        const underlyingMatch = str.match(/^([+-]?\d+)([sf])(?:x(\d+(?:\.\d+)?))?(?:@(\d+(?:\.\d+)?))?$/i);
+        if (underlyingMatch) {
+            const type = underlyingMatch[2].toLowerCase();
+            return createUnderlyingLeg(
+                parseInt(underlyingMatch[1], 10),
+                type,
+                underlyingMatch[4] ? parseFloat(underlyingMatch[4]) : null,
+                resolveMultiplier(type, underlyingMatch[3] ? parseFloat(underlyingMatch[3]) : null)
+            );
+        }
+
+        // Check for option with optional expiration, multiplier and cost adjustment (or fill price when fills is on)
+        const match = str.match(/^([+-]?\d+)([cp])(\d+)(?:\/(\d{4}-\d{2}-\d{2}))?(?:x(\d+(?:\.\d+)?))?(?:@([+-]?\d+(?:\.\d+)?))?$/i);
+        if (!match) {
+            throw new Error(`Invalid option format: ${str}. Expected format like 1c100, -1p110, 1c100/2026-01-16, 1c5000x50, 1c100@2000, 100s@450, -1f@5000, or @2000`);
+        }
+        if (match[4] && !isValidDate(match[4])) {
+            throw new Error(`Invalid expiration date in ${str}`);
+        }
+        const type = match[2].toLowerCase();
+        const leg = {
+            qty: parseInt(match[1], 10),
+            type,
+            strike: parseFloat(match[3]),
+            ...(match[4] && { expiration: match[4] }),
+            multiplier: resolveMultiplier(type, match[5] ? parseFloat(match[5]) : null),
+            costAdjustment: 0
+        };
+        if (!match[6]) {
+            return leg;
+        }
+        if (useFillPrices) {
+            if (parseFloat(match[6]) < 0) {
+                throw new Error(`Invalid fill price in ${str}. Fill prices are per share and can't be negative`);
+            }
+            return applyFillPrice(leg, parseFloat(match[6]));
+        }
+        return { ...leg, costAdjustment: parseFloat(match[6]) };
+    };
+
+    // Helper function to record a leg's fill price and the cost basis it adds to the position
+    const applyFillPrice = (leg, fillPrice) => ({
+        ...leg,
+        fillPrice,
+        costBasis: leg.qty * fillPrice * getPositionMultiplier(leg)
+    });
+
+    // Helper function to create a shares or futures leg; the entry price is its fill price. Without one the leg
+    // would add its whole notional value to the curve and nothing to the cost.
+    const createUnderlyingLeg = (qty, type, entryPrice, multiplier) => {
+        if (entryPrice === null) {
+            throw new Error(`${qty}${type} needs an entry price, like ${qty}${type}@450`);
+        }
+        return applyFillPrice({ qty, type, strike: null, entryPrice, multiplier, costAdjustment: 0 }, entryPrice);
+    };
+
+    // Helper function to process a single option object
+    const processOptionObject = (option) => {
+        const type = option.type?.toString()?.toLowerCase()?.trim();
+        if (type === 's' || type === 'f') {
+            const entryPrice = option.entryPrice != null ? parseFloat(option.entryPrice) : null;
+            if (entryPrice !== null && !(entryPrice > 0)) {
+                throw new Error(`Invalid entryPrice in option object: ${JSON.stringify(option)}`);
+            }
+            return createUnderlyingLeg(
+                typeof option.qty === 'string' ? parseInt(option.qty.trim(), 10) : (option.qty || 1),
+                type,
+                entryPrice,
+                resolveMultiplier(type, option.multiplier != null ? parseFloat(option.multiplier) : null)
+            );
+        }
+
+        const processedOption = {
+            qty: typeof option.qty === 'string' ?
+                parseInt(option.qty.trim(), 10) : (option.qty || 1),
+            type,
+            strike: typeof option.strike === 'string' ?
+                parseFloat(option.strike.trim()) : option.strike,
+            ...(option.expiration != null && { expiration: option.expiration.toString().trim() }),
+            multiplier: resolveMultiplier(type, option.multiplier != null ? parseFloat(option.multiplier) : null),
+            costAdjustment: option.costAdjustment ? parseFloat(option.costAdjustment) : 0,
+            ...(option.iv != null && { iv: parseFloat(option.iv) })
+        };
+        if (option.fillPrice != null) {
+            const fillPrice = parseFloat(option.fillPrice);
+            if (!(fillPrice >= 0)) {
+                throw new Error(`Invalid fillPrice in option object: ${JSON.stringify(option)}`);
+            }
+            Object.assign(processedOption, applyFillPrice(processedOption, fillPrice));
+        }
+
+        // Validate the processed option (skip validation for standalone cost adjustments)
+        if (processedOption.type && (!['c', 'p'].includes(processedOption.type) ||
+                isNaN(processedOption.strike))) {
+            throw new Error(`Invalid option object: ${JSON.stringify(option)}`);
+        }
+        if (option.iv != null && !(processedOption.iv > 0)) {
+            throw new Error(`Invalid iv in option object: ${JSON.stringify(option)}`);
+        }
+        if (processedOption.expiration && !isValidDate(processedOption.expiration)) {
+            throw new Error(`Invalid expiration in option object: ${JSON.stringify(option)}. Expected YYYY-MM-DD`);
+        }
+        return processedOption;
+    };
+
+    // Parse each leg where it was entered, keeping its label and group, and report the ones that don't parse
+    const legLocations = new Map();
+    const parseLegs = (legs) => legs
+        .map(leg => {
+            try {
+                let option;
+                if (leg.error) {
+                    throw new Error(leg.error);
+                } else if (typeof leg.value === 'string') {
+                    option = processOptionString(leg.value);
+                } else if (typeof leg.value === 'object' && leg.value !== null) {
+                    option = processOptionObject(leg.value);
+                } else {
+                    throw new Error(`Invalid option format: ${JSON.stringify(leg.value)}`);
+                }
+                option = {
+                    ...option,
+                    ...(leg.label && { label: leg.label }),
+                    ...(leg.group && { group: leg.group }),
+                    ...(leg.time && { time: leg.time }),
+                    ...(leg.note && { note: leg.note })
+                };
+                legLocations.set(option, leg);
+                return option;
+            } catch (error) {
+                report('error', error.message, leg.offset, leg.length);
+                return null;
+            }
+        })
+        .filter(option => option);
+
+    // Legs in the order they were entered, including standalone cost adjustments
+    const optionArray = parseLegs(source.legs.optionArray || []);
+    if (isJournal) {
+        optionArray.forEach(option => {
+            const leg = legLocations.get(option);
+            if (!option.time) {
+                report('error', 'Every leg of a journal needs a date; start its line with one, like 2026-01-05 09:45 1c620@3.45',
+                    leg.offset, leg.length);
+            } else if (option.type && option.fillPrice == null) {
+                report('error', `${formatOptionLeg(option, contractMultiplier)} needs a fill price in a journal, like 1c620@3.45`,
+                    leg.offset, leg.length);
+            }
+        });
+        // Entries on the same date and time keep the order they were entered in
+        optionArray.sort((a, b) => (a.time < b.time ? -1 : a.time > b.time ? 1 : 0));
+    }
+    const totalCostAdjustment = optionArray.reduce((sum, option) => sum + option.costAdjustment, 0);
+    const totalFillCost = optionArray.reduce((sum, option) => sum + (option.costBasis || 0), 0);
+    const hasLegErrors = optionArray.length < (source.legs.optionArray || []).length;
+
+    // Legs with no quantity, or that cancel each other out, don't change the position
+    const reportLeg = (option, message) => {
+        const leg = legLocations.get(option);
+        report('warning', message, leg.offset, leg.length);
+    };
+    optionArray
+        .filter(option => option.type && option.qty === 0)
+        .forEach(option => reportLeg(option, `${formatOptionLeg(option, contractMultiplier)} has a quantity of zero and is ignored`));
+    // A journal closes its lots with offsetting legs, so there they're expected
+    combinePositions(optionArray, contractMultiplier)
+        .filter(option => option.qty === 0 && !isJournal)
+        .forEach(option => {
+            const key = getOptionKey(option, contractMultiplier);
+            const firstLeg = optionArray.find(leg => leg.type && leg.qty !== 0 && getOptionKey(leg, contractMultiplier) === key);
+            if (firstLeg) {
+                reportLeg(firstLeg, `The ${key} legs net to zero and are left out of the position`);
+            }
+        });
+
+    // Combine quantities for the same type, strike, expiration and multiplier, and drop legs that net to zero
+    const positions = combinePositions(optionArray, contractMultiplier)
+        .filter(option => option.qty !== 0);
+    if (positions.length === 0 && source.legs.optionArray && !hasLegErrors) {
+        reportField('error', 'optionArray', isJournal ?
+            'Every lot in the journal is closed, so there is no open position to chart' :
+            'No valid options provided in optionArray');
+    }
+
+    // Each scenario's legs are added to the position on their own; the temp scenario is the tempOptionArray.
+    // A scenario's cost is what its own fills and cost adjustments add to the position's cost.
+    const scenarios = source.legs.scenarios.map(scenario => {
+        const legs = parseLegs(scenario.legs);
+        const cost = legs.reduce((sum, option) => sum + (option.costBasis || 0) + option.costAdjustment, 0);
+        return { name: scenario.name, legs, cost };
+    });
+    const tempScenario = scenarios.find(scenario => scenario.name === 'temp');
+    const tempOptionArray = tempScenario ? tempScenario.legs : [];
+    const scenarioLegs = scenarios.flatMap(scenario => scenario.legs);
+
+    // A journal's closed lots are realized; only its open lots are part of the position's cost
+    const journal = isJournal && optionArray.every(option => option.time && (!option.type || option.fillPrice != null)) ?
+        trackJournalLots(optionArray, contractMultiplier) : null;
+
+    // The cost comes from the leg fills unless a manual cost is given. That is the whole position's cost, as typed:
+    // it replaces every fill, the entry cost of shares and futures included.
+    let hasCostOverride = input.cost != null;
+    if (hasCostOverride && typeof input.cost !== 'number') {
+        reportField('error', 'cost', 'cost must be a number');
+        hasCostOverride = false;
+    }
+    const fillCost = journal ? journal.openCost : totalFillCost;
+    const cost = (hasCostOverride ? input.cost : fillCost) + totalCostAdjustment;
+
+    // The margin estimate counts shares and futures at their entry price, so it takes the cost of the rest. A manual
+    // cost can't be split between the two, so with shares or futures in the position the option fills are used.
+    const optionLegs = optionArray.filter(option => !isUnderlyingPosition(option));
+    const optionFillCost = journal ? trackJournalLots(optionLegs, contractMultiplier).openCost :
+        optionLegs.reduce((sum, option) => sum + (option.costBasis || 0), 0);
+    const optionsCost = (hasCostOverride && optionLegs.length === optionArray.length ? input.cost : optionFillCost) +
+        totalCostAdjustment;
+
+    let minPrice;
+    let maxPrice;
+    const rangeStr = input.range;
+    if (rangeStr != null && typeof rangeStr !== 'string') {
+        reportField('error', 'range', 'range must be a string like "500-1000"');
+    } else if (typeof rangeStr === 'string' && rangeStr.trim() !== '') {
+        const rangeMatch = rangeStr.match(/^\s*(-?\d+(?:\.\d+)?)\s*-\s*(-?\d+(?:\.\d+)?)\s*$/);
+        if (!rangeMatch) {
+            reportField('error', 'range', 'Invalid range format. Expected "minStrike-maxStrike" (example: "500-1000")');
+        } else {
+            minPrice = parseFloat(rangeMatch[1]);
+            maxPrice = parseFloat(rangeMatch[2]);
+            if (!Number.isFinite(minPrice) || !Number.isFinite(maxPrice)) {
+                reportField('error', 'range', 'Invalid range values. minStrike and maxStrike must be numbers.');
+            } else if (minPrice >= maxPrice) {
+                reportField('error', 'range', 'Invalid range values. minStrike must be less than maxStrike.');
+            }
+        }
+    } else if (positions.length > 0) {
+        // Underlying legs have no strike, so use their entry price instead
+        const finiteStrikes = positions.concat(scenarioLegs)
+            .map(opt => opt.strike ?? opt.entryPrice)
+            .filter(s => Number.isFinite(s));
+        if (finiteStrikes.length === 0) {
+            reportField('error', 'optionArray', 'Unable to infer range: no valid strikes found in optionArray or the scenarios');
+        } else {
+            minPrice = Math.min(...finiteStrikes) - 50;
+            maxPrice = Math.max(...finiteStrikes) + 50;
+        }
+    }
+
+    // The pricing inputs depend on the legs' expirations, so they're only checked once the legs parse.
+    // Their messages start with the setting at fault, which is where the error points; a missing dte
+    // points at the iv that needs it.
+    let pricingModel = null;
+    if (positions.length > 0) {
+        try {
+            pricingModel = parsePricingModel(input, positions.concat(scenarioLegs), options.today || getTodayDate());
+        } catch (error) {
+            const key = [error.message.split(' ')[0], 'iv'].find(name => fields[name]);
+            reportField('error', key || 'optionArray', error.message);
+        }
+    }
+
+    if (input.price != null && (typeof input.price !== 'number' || !(input.price > 0))) {
+        reportField('error', 'price', 'price must be a positive underlying price');
+    }
+
+    if (input.stressPct != null && (typeof input.stressPct !== 'number' || !(input.stressPct > 0 && input.stressPct < 100))) {
+        reportField('error', 'stressPct', 'stressPct must be a percentage between 0 and 100 (example: 15 for a 15% move)');
+    }
+
+    const greekSeries = input.greekSeries || null;
+    if (greekSeries && !['delta', 'gamma', 'theta', 'vega'].includes(greekSeries)) {
+        reportField('error', 'greekSeries', 'greekSeries must be one of "delta", "gamma", "theta" or "vega"');
+    } else if (greekSeries && !pricingModel && positions.length > 0) {
+        reportField('error', 'greekSeries', 'greekSeries requires iv and dte');
+    }
+
+    return {
+        input,
+        multiplier: contractMultiplier,
+        optionArray,
+        optionArrayLocations: (source.legs.optionArray || []).map(({ offset, length }) => ({ offset, length })),
+        positions,
+        tempOptionArray,
+        scenarios,
+        groups: source.groups,
+        journal,
+        cost,
+        hasCostOverride,
+        totalFillCost,
+        optionsCost,
+        totalCostAdjustment,
+        minPrice,
+        maxPrice,
+        priceStep: input.inc || 10,
+        pricingModel,
+        underlyingPrice: input.price != null ? input.price : null,
+        greekSeries,
+        showDistribution: input.showDistribution === true,
+        stressPct: input.stressPct || 15
+    };
+}
+
+/**
+ * Parse the input and collect every error and warning instead of stopping at the first.
+ * Text starting with '{' is read as JSON; anything else is read as the line format (see readLineInput).
+ * @param {string} inputText - The input as typed.
+ * @param {Object} options - { today } overrides today's date (YYYY-MM-DD) for dte-less expirations.
+ * @returns {Object} { result, diagnostics }. result is what parsePositionInput returns, or null when there
+ *   are errors. Each diagnostic is { severity ('error' or 'warning'), message, line, column, offset, length }.
+ */
+function analyzePositionInput(inputText, options = {}) {
+    const diagnostics = [];
+    const report = (severity, message, offset, length) => {
+        diagnostics.push({ severity, message, ...locateOffset(inputText, offset), offset, length });
+    };
+
+    let result = null;
+    if (!inputText.trim()) {
+        report('error', 'Enter at least one leg, like 1c620,-1c820', 0, 0);
+    } else {
+        const source = inputText.trim().startsWith('{') ? readJsonInput(inputText, report) : readLineInput(inputText, report);
+        if (source) {
+            result = buildPositionInput(source, options, report);
+        }
+    }
+
+    // List the problems in the order they appear in the text
+    diagnostics.sort((a, b) => a.offset - b.offset);
+    const hasErrors = diagnostics.some(diagnostic => diagnostic.severity === 'error');
+    return { result: hasErrors ? null : result, diagnostics };
+}
+
+/**
+ * Parse the calculator's input into legs, cost, price range and pricing inputs.
+ * Accepts the JSON format and the line format (see readLineInput).
+ * @param {string} inputText - The input as typed, e.g. { "cost": 2000, "optionArray": "1c620,-1c820" }.
+ * @param {Object} options - { today } overrides today's date (YYYY-MM-DD) for dte-less expirations.
+ * @returns {Object} { input, multiplier, optionArray (legs in entry order), optionArrayLocations ({ offset, length }
+ *   of each optionArray leg in the text, in entry order), positions (combined legs),
+ *   tempOptionArray (the temp scenario's legs), scenarios ({ name, legs, cost } in order), groups (trade names in order),
+ *   journal (the lots from trackJournalLots when the legs are dated, else null), cost, hasCostOverride, totalFillCost, totalCostAdjustment,
+ *   optionsCost (the cost without the shares and futures, for estimateMarginRequirement),
+ *   minPrice, maxPrice, priceStep, pricingModel, underlyingPrice, greekSeries, showDistribution, stressPct (the margin
+ *   stress move in percent), diagnostics (warnings) }
+ * @throws {Error} Listing every error with its line and column; the error's 'diagnostics' has them all.
+ */
+function parsePositionInput(inputText, options = {}) {
+    const { result, diagnostics } = analyzePositionInput(inputText, options);
+    if (!result) {
+        const error = new Error(diagnostics
+            .filter(diagnostic => diagnostic.severity === 'error')
+            .map(formatDiagnostic)
+            .join('\n'));
+        error.diagnostics = diagnostics;
+        throw error;
+    }
+    return { ...result, diagnostics };
+}
+
+return {
+    parsePositionInput,
+    analyzePositionInput,
+    formatDiagnostic,
+    parsePricingModel,
+    combinePositions,
+    trackJournalLots,
+    calculateSubsetCost,
+    getOptionKey,
+    formatOptionLeg,
+    isValidDate,
+    getTodayDate,
+    calculatePortfolioValueAtExpiration,
+    calculateLegValuesAtExpiration,
+    calculatePositionValuesAtPrice,
+    calculatePortfolioTheoreticalValue,
+    calculatePositionGreeks,
+    calculateGreeksCurve,
+    calculateProbabilityMetrics,
+    calculateDistributionCurve,
+    calculateTouchProbability,
+    lognormalCdf,
+    lognormalPdf,
+    getFrontExpiration,
+    isUnderlyingPosition,
+    getPositionMultiplier,
+    daysBetween,
+    shiftDate,
+    blackScholesPrice,
+    blackScholesGreeks,
+    impliedVolatility,
+    normalCdf,
+    normalPdf,
+    findKeyPointsOnCurve,
+    solveExpirationPayoff,
+    estimateMarginRequirement
+};
+}));
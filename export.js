@@ -0,0 +1,138 @@
+// Exports - Download the value curves and key points as CSV or JSON, and the chart as an SVG or PNG image.
+// Curves are those of the whole position as last processed: the expiration curve of the optionArray,
+// and the curve of each scenario added to it, named after the scenario.
+
+// Save text or a blob as a file
+function downloadFile(content, fileName, type) {
+  const blob = content instanceof Blob ? content : new Blob([content], { type });
+  const link = document.createElement('a');
+  link.href = URL.createObjectURL(blob);
+  link.download = fileName;
+  link.click();
+  URL.revokeObjectURL(link.href);
+}
+
+// Name files after the open portfolio and today's date, e.g. spx-book-2026-01-16
+function getExportFileName(extension) {
+  const portfolioName = getActivePortfolio(loadPortfolioLibrary()).name;
+  const slug = portfolioName.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '') || 'position';
+  return `${slug}-${ChartModule.getTodayDate()}.${extension}`;
+}
+
+// The main and scenario curves with their key points, computed as processInput draws them
+function buildExportCurves() {
+  if (fullOptionArray.length === 0) {
+    throw new Error('Process a position before exporting');
+  }
+
+  const positions = ChartModule.combinePositions(fullOptionArray, fullContractMultiplier)
+    .filter(option => option.qty !== 0);
+  const calculateCurve = options => ChartModule.calculatePortfolioValueAtExpiration(
+    withLegVolatility(options),
+    fullMinStrike,
+    fullMaxStrike,
+    fullStrikeIncrement,
+    getExpirationModel()
+  );
+
+  const range = { minPrice: fullMinStrike, maxPrice: fullMaxStrike, step: fullStrikeIncrement };
+  const curves = [{ name: 'main', data: calculateCurve(positions) }]
+    .concat(buildScenarioCurves(positions, range).map(scenario => ({ name: scenario.name, data: scenario.data })));
+  return curves.map(curve => ({ ...curve, keyPoints: ChartModule.findKeyPointsOnCurve(curve.data, fullCost) }));
+}
+
+const formatCurvePoint = point => ({
+  closingPrice: point.closingPrice,
+  value: point.totalIntrinsicValue,
+  profitLoss: point.totalIntrinsicValue - fullCost
+});
+
+const formatKeyPoint = point => ({
+  type: point.type,
+  description: point.description,
+  ...formatCurvePoint(point)
+});
+
+function toCsv(rows) {
+  const escape = value => (/[",\n]/.test(value) ? `"${value.replace(/"/g, '""')}"` : value);
+  return rows.map(row => row.map(value => escape(String(value))).join(',')).join('\n');
+}
+
+// Export the curves, or the key points, as 'csv' or 'json'
+function exportCurves(format) {
+  exportCurveData(format, 'curve', curve => curve.data.map(formatCurvePoint),
+    ['curve', 'closingPrice', 'value', 'profitLoss']);
+}
+
+function exportKeyPoints(format) {
+  exportCurveData(format, 'key-points', curve => curve.keyPoints.map(formatKeyPoint),
+    ['curve', 'type', 'description', 'closingPrice', 'value', 'profitLoss']);
+}
+
+function exportCurveData(format, name, getRows, columns) {
+  let curves;
+  try {
+    curves = buildExportCurves();
+  } catch (error) {
+    alert(error.message);
+    return;
+  }
+
+  if (format === 'json') {
+    const file = {
+      exportedAt: new Date().toISOString(),
+      cost: fullCost,
+      evaluatedAt: fullViewExpiration || ChartModule.getFrontExpiration(fullOptionArray.filter(option => option.type)),
+      curves: Object.fromEntries(curves.map(curve => [curve.name, getRows(curve)]))
+    };
+    downloadFile(JSON.stringify(file, null, 2), getExportFileName(`${name}.json`), 'application/json');
+    return;
+  }
+
+  const rows = [columns];
+  curves.forEach(curve => getRows(curve).forEach(row => {
+    rows.push([curve.name, ...columns.slice(1).map(column => row[column])]);
+  }));
+  downloadFile(toCsv(rows), getExportFileName(`${name}.csv`), 'text/csv');
+}
+
+function getChartTitle() {
+  return `${getActivePortfolio(loadPortfolioLibrary()).name} - ${ChartModule.getTodayDate()}`;
+}
+
+function downloadChartSvg() {
+  const chart = ChartModule.exportChartSvg(getChartTitle());
+  if (!chart) {
+    alert('Process a position before exporting');
+    return;
+  }
+  downloadFile(chart.svg, getExportFileName('svg'), 'image/svg+xml');
+}
+
+// Draw the exported SVG onto a canvas at twice the size, so the PNG stays sharp
+function downloadChartPng() {
+  const chart = ChartModule.exportChartSvg(getChartTitle());
+  if (!chart) {
+    alert('Process a position before exporting');
+    return;
+  }
+
+  const scale = 2;
+  const image = new Image();
+  const svgUrl = URL.createObjectURL(new Blob([chart.svg], { type: 'image/svg+xml' }));
+  image.onload = () => {
+    const canvas = document.createElement('canvas');
+    canvas.width = chart.width * scale;
+    canvas.height = chart.height * scale;
+    const context = canvas.getContext('2d');
+    context.scale(scale, scale);
+    context.drawImage(image, 0, 0);
+    URL.revokeObjectURL(svgUrl);
+    canvas.toBlob(blob => downloadFile(blob, getExportFileName('png')), 'image/png');
+  };
+  image.onerror = () => {
+    URL.revokeObjectURL(svgUrl);
+    alert('Could not draw the chart as an image');
+  };
+  image.src = svgUrl;
+}
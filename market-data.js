@@ -0,0 +1,261 @@
+// Market data providers - Quotes, expirations and option chains for the live-data panel.
+// Every provider returns the same shapes:
+//   getQuote(symbol)                -> { symbol, lastPrice, bid, ask }
+//   getExpirations(symbol)          -> ['YYYY-MM-DD', ...] nearest first
+//   getChain(symbol, expiration)    -> [{ type, strike, last, bid, ask, volume, openInterest, expiration, daysToExpiration }]
+//
+// Loaded as a browser script after engine.js; under Node the engine is required and the providers are exported.
+
+const { daysBetween } = typeof module !== 'undefined' && module.exports ? require('./engine') : OptionEngine;
+
+// Base class for market data sources; subclasses implement the three lookups
+class MarketDataProvider {
+  constructor(name) {
+    this.name = name;
+  }
+
+  // Whether the provider can answer requests right now (logged in, file loaded, ...)
+  isConnected() {
+    return false;
+  }
+
+  async getQuote(symbol) {
+    throw new Error(`${this.name} does not provide quotes`);
+  }
+
+  async getExpirations(symbol) {
+    throw new Error(`${this.name} does not provide expirations`);
+  }
+
+  async getChain(symbol, expiration) {
+    throw new Error(`${this.name} does not provide option chains`);
+  }
+}
+
+// Live data from the Schwab market data API, through an authenticated SchwabBrowserService
+class SchwabMarketDataProvider extends MarketDataProvider {
+  constructor(service) {
+    super('Schwab API');
+    this.service = service;
+  }
+
+  isConnected() {
+    return this.service.isAuthenticated;
+  }
+
+  async getQuote(symbol) {
+    // The quotes endpoint keys its response by symbol
+    const response = await this.service.getQuote(symbol);
+    const symbolQuote = response ? response[symbol] || response : null;
+    const quote = symbolQuote && symbolQuote.quote ? symbolQuote.quote : {};
+    return {
+      symbol,
+      lastPrice: quote.lastPrice ?? null,
+      bid: quote.bidPrice ?? null,
+      ask: quote.askPrice ?? null
+    };
+  }
+
+  // Expiration list entries may be plain dates or objects with an expirationDate
+  async getExpirations(symbol) {
+    const response = await this.service.getOptionExpirations(symbol);
+    if (!response || !Array.isArray(response.expirationList)) {
+      return [];
+    }
+    const dates = response.expirationList
+      .map(entry => (typeof entry === 'string' ? entry : entry && entry.expirationDate))
+      .filter(Boolean)
+      .map(date => date.slice(0, 10));
+    return [...new Set(dates)].sort();
+  }
+
+  // Contracts without their own expiration date are labeled with the requested one
+  async getChain(symbol, expiration) {
+    const chainData = await this.service.getOptionsChain(symbol, expiration);
+    const contracts = [];
+    if (!chainData || !chainData.callExp || !chainData.putExp) {
+      return contracts;
+    }
+
+    const addContracts = (type, entries) => entries.forEach(entry => {
+      if (entry.strike && entry.last !== null && entry.last !== undefined) {
+        contracts.push({
+          type,
+          strike: entry.strike,
+          last: entry.last,
+          bid: entry.bid,
+          ask: entry.ask,
+          volume: entry.totalVolume,
+          openInterest: entry.openInterest,
+          expiration: entry.expirationDate ? entry.expirationDate.slice(0, 10) : expiration,
+          daysToExpiration: entry.daysToExpiration
+        });
+      }
+    });
+    addContracts('c', chainData.callExp);
+    addContracts('p', chainData.putExp);
+    return contracts;
+  }
+}
+
+// Replays recorded snapshots, so the live-data panel works offline. A snapshot file is
+//   { "symbol": "SPY", "frames": [{ "time", "quote", "expirations", "chains": { "YYYY-MM-DD": [contracts] } }] }
+// or { "snapshots": [ ... ] } for several symbols. Each quote request moves to the next frame, looping at the end.
+class FileReplayProvider extends MarketDataProvider {
+  constructor(snapshots) {
+    super('Replay file');
+    this.framesBySymbol = new Map();
+    this.frameIndex = new Map();
+    snapshots.forEach(snapshot => {
+      if (!snapshot || typeof snapshot.symbol !== 'string' || !Array.isArray(snapshot.frames) || snapshot.frames.length === 0) {
+        throw new Error('Replay snapshots need a symbol and at least one frame');
+      }
+      const symbol = snapshot.symbol.toUpperCase();
+      this.framesBySymbol.set(symbol, (this.framesBySymbol.get(symbol) || []).concat(snapshot.frames));
+    });
+  }
+
+  // Read snapshot files picked in a file input
+  static async fromFiles(files) {
+    const snapshots = [];
+    for (const file of Array.from(files)) {
+      let data;
+      try {
+        data = JSON.parse(await file.text());
+      } catch (error) {
+        throw new Error(`${file.name} is not valid JSON: ${error.message}`);
+      }
+      const fileSnapshots = data && Array.isArray(data.snapshots) ? data.snapshots : [data];
+      if (fileSnapshots.length === 0) {
+        throw new Error(`${file.name} has no snapshots`);
+      }
+      snapshots.push(...fileSnapshots);
+    }
+    if (snapshots.length === 0) {
+      throw new Error('Pick at least one snapshot file');
+    }
+    return new FileReplayProvider(snapshots);
+  }
+
+  isConnected() {
+    return this.framesBySymbol.size > 0;
+  }
+
+  get symbols() {
+    return Array.from(this.framesBySymbol.keys());
+  }
+
+  getFrameCount(symbol) {
+    return (this.framesBySymbol.get(symbol) || []).length;
+  }
+
+  getFrames(symbol) {
+    const frames = this.framesBySymbol.get(symbol);
+    if (!frames) {
+      throw new Error(`No recorded data for ${symbol}`);
+    }
+    return frames;
+  }
+
+  currentFrame(symbol) {
+    const frames = this.getFrames(symbol);
+    return frames[Math.max(0, this.frameIndex.get(symbol) ?? 0)];
+  }
+
+  async getQuote(symbol) {
+    const frames = this.getFrames(symbol);
+    const index = ((this.frameIndex.get(symbol) ?? -1) + 1) % frames.length;
+    this.frameIndex.set(symbol, index);
+    return { symbol, bid: null, ask: null, ...frames[index].quote };
+  }
+
+  async getExpirations(symbol) {
+    const frame = this.currentFrame(symbol);
+    return (frame.expirations || Object.keys(frame.chains || {})).slice().sort();
+  }
+
+  // Days to expiration are counted from the frame's recording date when the contract doesn't have them
+  async getChain(symbol, expiration) {
+    const frame = this.currentFrame(symbol);
+    const contracts = (frame.chains && frame.chains[expiration]) || [];
+    const frameDate = frame.time ? frame.time.slice(0, 10) : null;
+    return contracts.map(contract => ({
+      ...contract,
+      expiration: contract.expiration || expiration,
+      daysToExpiration: contract.daysToExpiration ?? (frameDate ? daysBetween(frameDate, expiration) : null)
+    }));
+  }
+}
+
+// Passes requests through to another provider and records the answers as replay frames
+class RecordingProvider extends MarketDataProvider {
+  constructor(provider) {
+    super(`${provider.name} (recording)`);
+    this.provider = provider;
+    this.framesBySymbol = new Map();
+  }
+
+  isConnected() {
+    return this.provider.isConnected();
+  }
+
+  get frameCount() {
+    let count = 0;
+    this.framesBySymbol.forEach(frames => {
+      count += frames.length;
+    });
+    return count;
+  }
+
+  // The frame being filled for a symbol; a new one starts with each quote
+  currentFrame(symbol) {
+    const frames = this.framesBySymbol.get(symbol);
+    return frames ? frames[frames.length - 1] : null;
+  }
+
+  async getQuote(symbol) {
+    const quote = await this.provider.getQuote(symbol);
+    if (!this.framesBySymbol.has(symbol)) {
+      this.framesBySymbol.set(symbol, []);
+    }
+    this.framesBySymbol.get(symbol).push({ time: new Date().toISOString(), quote, expirations: null, chains: {} });
+    return quote;
+  }
+
+  async getExpirations(symbol) {
+    const expirations = await this.provider.getExpirations(symbol);
+    const frame = this.currentFrame(symbol);
+    if (frame) {
+      frame.expirations = expirations;
+    }
+    return expirations;
+  }
+
+  async getChain(symbol, expiration) {
+    const contracts = await this.provider.getChain(symbol, expiration);
+    const frame = this.currentFrame(symbol);
+    if (frame) {
+      frame.chains[expiration] = contracts;
+    }
+    return contracts;
+  }
+
+  // The recording in the replay file format; expirations carry over to frames that didn't fetch them
+  toSnapshotFile() {
+    const snapshots = Array.from(this.framesBySymbol, ([symbol, frames]) => {
+      let expirations = null;
+      return {
+        symbol,
+        frames: frames.map(frame => {
+          expirations = frame.expirations || expirations || Object.keys(frame.chains);
+          return { ...frame, expirations };
+        })
+      };
+    });
+    return snapshots.length === 1 ? snapshots[0] : { snapshots };
+  }
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = { MarketDataProvider, SchwabMarketDataProvider, FileReplayProvider, RecordingProvider };
+}
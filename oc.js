@@ -1,139 +1,708 @@
 // Global variables to store the full option data
 let fullOptionArray = []; // Stores the original, uncombined options in the order they were entered
+let fullScenarios = []; // What-if scenarios as { name, legs, cost }, each drawn combined with the position
+let hiddenScenarios = new Set(); // Names of the scenarios toggled off on the chart
+let fullTradeGroups = []; // Trade names from the input's [Name] headers, in order
+let fullSelectedPrice = null; // Price picked on the chart for the contribution table, or null for the reference price
 let combinedOptionMap = new Map(); // Stores the combined options for chart rendering
 let fullCost = 0;
+let fullHasCostOverride = false; // Whether the input's cost setting replaces the cost of the fills
+let fullJournal = null; // Open and closed lots when the legs are dated journal entries, else null
 let fullMinStrike = 0;
 let fullMaxStrike = 0;
 let fullStrikeIncrement = 0;
+let fullPricingModel = null; // Black-Scholes inputs for the theoretical (T+N) curves, or null when not provided
+let fullUnderlyingPrice = null; // Underlying price from the input, used for point-in-time Greeks
+let fullGreekSeries = null; // Name of the Greek drawn as a secondary series on the chart, or null
+let fullContractMultiplier = 100; // Default multiplier for option and futures legs, from the input's multiplier field
+let fullShowDistribution = false; // Whether to shade the terminal price distribution under the chart
+let fullStressPct = 15; // Price move, in percent either way, the portfolio margin estimate is stressed over
+let fullViewExpiration = null; // Expiration date the chart is evaluated at, or null for the front expiration
+let fullViewDomain = null; // [min, max] prices the chart is zoomed to, or null for the whole input range
+const CHART_ZOOM_SAMPLES = 200; // Price points calculated across the chart when it is zoomed in
 
 // Schwab API integration variables
 let schwabConnected = false;
 let currentSymbol = '';
 let liveDataEnabled = false;
+let liveUnderlyingPrice = null; // Last underlying price received from live data
+let chainOptions = []; // Contracts shown in the live options chain, in table order (by expiration, then strike)
+let chainExpirations = []; // Expiration dates available for currentSymbol, nearest first
+let liveMarks = null; // Entered legs priced against the live chain, or null before the first chain arrives
 
-// Browser-compatible Schwab API integration
-class SchwabBrowserService {
-  constructor() {
-    this.isAuthenticated = false;
-    this.accessToken = null;
-    this.refreshToken = null;
+// Create global Schwab service instance
+const schwabService = new SchwabBrowserService();
+
+// Source of the live quotes and chains, and the recorder wrapped around it while recording
+let marketDataProvider = new SchwabMarketDataProvider(schwabService);
+let marketDataRecorder = null; // Kept after recording stops so the recording can still be downloaded
+let marketDataRecording = false;
+
+// Function to update the chart based on slider value
+function updateChartWithSlider() {
+  const slider = document.getElementById('optionRange');
+  const count = parseInt(slider.value);
+  
+  // Get a subset of the original options based on the slider value
+  const visibleOptions = getSliderLegs(count);
+  const visibleCost = getSliderCost(visibleOptions);
+  updateSliderLabel(count, visibleOptions);
+  
+  // Combine the visible options for chart rendering (standalone cost adjustments are skipped)
+  const visibleCombinedOptions = ChartModule.combinePositions(visibleOptions, fullContractMultiplier);
+  
+  // Calculate portfolio values with the filtered and combined options, over the range the chart shows
+  const range = getChartRange();
+  const data = ChartModule.calculatePortfolioValueAtExpiration(
+    withLegVolatility(visibleCombinedOptions),
+    range.minPrice,
+    range.maxPrice,
+    range.step,
+    getExpirationModel()
+  );
+  
+  // Draw the chart with the filtered data but show all original positions in the labels
+  ChartModule.drawChart(data, visibleCost, visibleOptions, [], {
+    scenarios: buildScenarioCurves(visibleCombinedOptions).filter(scenario => scenario.visible),
+    theoreticalCurves: buildTheoreticalCurves(visibleCombinedOptions),
+    greekSeries: buildGreekSeries(visibleCombinedOptions),
+    distribution: buildDistribution(visibleCombinedOptions),
+    payoffSummary: buildPayoffSummary(visibleCombinedOptions, visibleCost),
+    ...buildContributionChart(visibleOptions, visibleCost),
+    ...buildChartInteraction(visibleOptions),
+    ...buildLiveMarker(count >= getSliderSteps())
+  });
+}
+
+// The slider steps through the legs one at a time, or through a journal's entries one date at a time
+function getSliderSteps() {
+  return fullJournal ? getJournalTimes(fullOptionArray).length : fullOptionArray.length;
+}
+
+// The dates of a journal's entries, in order
+function getJournalTimes(legs) {
+  return [...new Set(legs.map(leg => leg.time))];
+}
+
+// The legs shown at a slider position: the first count legs, or the journal entries up to the count-th date
+function getSliderLegs(count) {
+  if (!fullJournal) {
+    return fullOptionArray.slice(0, count);
   }
+  const time = getJournalTimes(fullOptionArray)[count - 1];
+  return fullOptionArray.filter(leg => leg.time <= time);
+}
 
-  // Initialize with manual token input (browser-compatible)
-  async initializeWithTokens(accessToken, refreshToken) {
-    this.accessToken = accessToken;
-    this.refreshToken = refreshToken;
-    this.isAuthenticated = true;
-    return true;
+// The cost the shown legs are measured against: the cost less that of the legs left out. A journal's cost is
+// that of the lots still open on the slider's date, unless a manual cost overrides it.
+function getSliderCost(legs) {
+  if (legs.length === fullOptionArray.length) {
+    return fullCost;
+  }
+  if (!fullJournal) {
+    return ChartModule.calculateSubsetCost(fullOptionArray, legs, fullCost);
   }
+  if (fullHasCostOverride) {
+    return fullCost;
+  }
+  const costAdjustment = legs.reduce((sum, leg) => sum + leg.costAdjustment, 0);
+  return ChartModule.trackJournalLots(legs, fullContractMultiplier).openCost + costAdjustment;
+}
 
-  // Simple API call wrapper for browser
-  async makeApiCall(url, options = {}) {
-    if (!this.isAuthenticated) {
-      throw new Error('Not authenticated');
-    }
+// Show the number of legs, or the journal's date and the P&L realized by then
+function updateSliderLabel(count, legs) {
+  const label = document.getElementById('optionCount');
+  if (!fullJournal) {
+    label.textContent = count;
+    return;
+  }
+  const realizedPnL = ChartModule.trackJournalLots(legs, fullContractMultiplier).realizedPnL;
+  label.textContent = `${legs[legs.length - 1].time} (${count} of ${getSliderSteps()}), ` +
+    `realized ${realizedPnL >= 0 ? '+' : '-'}$${Math.abs(realizedPnL).toFixed(2)}`;
+}
+
+// Price range and step the chart's curves are calculated over: the input range, or the zoomed range
+// sampled more finely so zooming in shows the curves' detail
+function getChartRange() {
+  if (!fullViewDomain) {
+    return { minPrice: fullMinStrike, maxPrice: fullMaxStrike, step: fullStrikeIncrement };
+  }
+
+  const [minPrice, maxPrice] = fullViewDomain;
+  const step = Math.min(fullStrikeIncrement, d3.tickStep(minPrice, maxPrice, CHART_ZOOM_SAMPLES));
+  return {
+    minPrice: Math.max(fullMinStrike, Math.floor(minPrice / step) * step),
+    // Half a step over, so rounding in the price steps doesn't drop the last point
+    maxPrice: Math.min(fullMaxStrike, Math.ceil(maxPrice / step) * step) + step / 2,
+    step
+  };
+}
 
-    const response = await fetch(url, {
-      ...options,
-      headers: {
-        'Authorization': `Bearer ${this.accessToken}`,
-        'Content-Type': 'application/json',
-        ...options.headers
+// Zoom, the hover breakdown by leg, and the full range to zoom within, for drawChart
+function buildChartInteraction(legs) {
+  const pricedLegs = withLegVolatility(legs.filter(leg => leg.type && leg.qty !== 0));
+  return {
+    priceRange: [fullMinStrike, fullMaxStrike],
+    onZoom: zoomChart,
+    getLegValues: price => {
+      if (pricedLegs.length === 0) {
+        return [];
       }
+      const values = ChartModule.calculatePositionValuesAtPrice(pricedLegs, price, getExpirationModel());
+      return pricedLegs.map((leg, index) => ({
+        label: `${formatOptionLeg(leg)}${leg.label ? ` "${leg.label}"` : ''}`,
+        value: values[index]
+      }));
+    }
+  };
+}
+
+// Redraw the chart over the zoomed price range, or the whole input range when domain is null
+function zoomChart(domain) {
+  fullViewDomain = domain;
+  updateChartWithSlider();
+}
+
+// Split the legs into the contribution chart's series: one per combined leg, or one per trade with
+// the legs entered outside a trade as "Other legs". Each series keeps the entered legs it is made of.
+function getContributionSeries(legs, mode) {
+  const optionLegs = legs.filter(leg => leg.type && leg.qty !== 0);
+  let series;
+  if (mode === 'group') {
+    series = fullTradeGroups.map(name => ({ label: name, legs: legs.filter(leg => leg.group === name) }));
+    series.push({ label: 'Other legs', legs: legs.filter(leg => !leg.group) });
+  } else {
+    series = ChartModule.combinePositions(optionLegs, fullContractMultiplier)
+      .filter(leg => leg.qty !== 0)
+      .map(leg => ({
+        label: formatOptionLeg(leg),
+        legs: optionLegs.filter(entry => getOptionKey(entry) === getOptionKey(leg))
+      }));
+  }
+
+  return series
+    .filter(entry => entry.legs.some(leg => leg.type && leg.qty !== 0))
+    .map((entry, index) => {
+      // A series' cost is known when every leg in it was entered with a fill price
+      const seriesOptionLegs = entry.legs.filter(leg => leg.type && leg.qty !== 0);
+      const costKnown = seriesOptionLegs.every(leg => leg.costBasis != null);
+      return {
+        ...entry,
+        optionLegs: seriesOptionLegs,
+        color: d3.schemeTableau10[index % d3.schemeTableau10.length],
+        cost: costKnown ? entry.legs.reduce((sum, leg) => sum + (leg.costBasis || 0) + leg.costAdjustment, 0) : null
+      };
     });
+}
+
+// The contribution chart mode picked under the chart, and the price picked for its table
+function buildContributionChart(legs, cost = fullCost) {
+  const mode = document.getElementById('contribution-mode').value;
+  const contributionSeries = mode === 'off' ? [] : getContributionSeries(legs, mode);
+  updateContributionTable(contributionSeries, cost);
+  if (contributionSeries.length === 0) {
+    return {};
+  }
+
+  // Value every leg across the chart's range, then add them up by series
+  const range = getChartRange();
+  const seriesLegs = contributionSeries.map(series => series.optionLegs);
+  const legCurve = ChartModule.calculateLegValuesAtExpiration(
+    withLegVolatility(seriesLegs.flat()),
+    range.minPrice,
+    range.maxPrice,
+    range.step,
+    getExpirationModel()
+  );
+  const data = legCurve.map(point => {
+    let index = 0;
+    return {
+      closingPrice: point.closingPrice,
+      values: seriesLegs.map(legsInSeries => legsInSeries.reduce(sum => sum + point.legValues[index++], 0))
+    };
+  });
+
+  return {
+    contributions: {
+      mode: document.getElementById('contribution-style').value,
+      series: contributionSeries.map(series => ({ label: series.label, color: series.color })),
+      data
+    },
+    selectedPrice: getSelectedPrice(),
+    onSelectPrice: selectChartPrice
+  };
+}
+
+function getSelectedPrice() {
+  return fullSelectedPrice ?? getReferencePrice();
+}
+
+function selectChartPrice(price) {
+  fullSelectedPrice = Math.round(price * 100) / 100;
+  updateChartWithSlider();
+}
 
-    if (!response.ok) {
-      throw new Error(`API call failed: ${response.status}`);
+function selectContributionMode() {
+  if (fullOptionArray.length > 0) {
+    updateChartWithSlider();
+  }
+}
+
+// Each series' value at the selected price on the evaluation date, and its profit or loss where its cost is known
+function updateContributionTable(contributionSeries, cost) {
+  const container = document.getElementById('contribution-table');
+  if (contributionSeries.length === 0) {
+    container.innerHTML = '';
+    return;
+  }
+
+  const price = getSelectedPrice();
+  const legValues = ChartModule.calculatePositionValuesAtPrice(
+    withLegVolatility(contributionSeries.flatMap(series => series.optionLegs)),
+    price,
+    getExpirationModel()
+  );
+  const formatDollars = value => `${value < 0 ? '-' : ''}$${Math.abs(value).toFixed(2)}`;
+  const formatSignedDollars = value => `${value >= 0 ? '+' : '-'}$${Math.abs(value).toFixed(2)}`;
+
+  let index = 0;
+  let total = 0;
+  const rows = contributionSeries.map(series => {
+    const value = series.optionLegs.reduce(sum => sum + legValues[index++], 0);
+    total += value;
+    return `
+      <tr>
+        <td><span class="contribution-swatch" style="background: ${series.color}"></span>${escapeHtml(series.label)}</td>
+        <td>${formatDollars(value)}</td>
+        <td>${series.cost != null ? formatSignedDollars(value - series.cost) : ''}</td>
+      </tr>`;
+  });
+
+  container.innerHTML = `
+    <strong>Contribution at $${price.toFixed(2)}${fullSelectedPrice == null ? ' (click the chart to pick a price)' : ''}:</strong>
+    <table>
+      <tr><th></th><th>Value</th><th>P&amp;L</th></tr>
+      ${rows.join('')}
+      <tr class="contribution-total"><td>Total</td><td>${formatDollars(total)}</td><td>${formatSignedDollars(total - cost)}</td></tr>
+    </table>
+  `;
+}
+
+// Key used to combine legs, with the input's contract multiplier as the default
+function getOptionKey(option) {
+  return ChartModule.getOptionKey(option, fullContractMultiplier);
+}
+
+// Format a leg in the optionArray notation, e.g. -1c820/2026-03-20 or 100s
+function formatOptionLeg(option) {
+  return ChartModule.formatOptionLeg(option, fullContractMultiplier);
+}
+
+// Pricing model as of a number of days from today, for the theoretical curves and Greeks
+function getPricingModelAt(daysElapsed) {
+  return {
+    volatility: fullPricingModel.volatility,
+    rate: fullPricingModel.rate,
+    valuationDate: ChartModule.shiftDate(ChartModule.getTodayDate(), daysElapsed),
+    daysToExpiry: fullPricingModel.daysToExpiry - daysElapsed
+  };
+}
+
+// Pricing inputs for the expiration curve, evaluated at the selected expiration (or the front one when none is selected)
+function getExpirationModel() {
+  if (!fullPricingModel) {
+    return fullViewExpiration ? { valuationDate: fullViewExpiration } : null;
+  }
+  return {
+    volatility: fullPricingModel.volatility,
+    rate: fullPricingModel.rate,
+    valuationDate: fullViewExpiration
+  };
+}
+
+// Fill the expiration picker with the distinct leg expirations, shown only when there is more than one
+function updateExpirationPicker(positions) {
+  const container = document.getElementById('expirationContainer');
+  const select = document.getElementById('expirationSelect');
+  const expirations = [...new Set(positions.map(position => position.expiration).filter(Boolean))].sort();
+
+  // Keep the selected expiration if the position still has it
+  if (!expirations.includes(fullViewExpiration)) {
+    fullViewExpiration = null;
+  }
+
+  if (expirations.length < 2) {
+    container.style.display = 'none';
+    return;
+  }
+
+  select.innerHTML = expirations
+    .map((expiration, index) => `<option value="${expiration}">${expiration}${index === 0 ? ' (front)' : ''}</option>`)
+    .join('');
+  select.value = fullViewExpiration || expirations[0];
+  container.style.display = 'block';
+}
+
+// Re-evaluate the chart at the expiration chosen in the picker
+function selectViewExpiration() {
+  const select = document.getElementById('expirationSelect');
+  fullViewExpiration = select.selectedIndex > 0 ? select.value : null;
+  updateChartWithSlider();
+}
+
+// Underlying price for point-in-time calculations: the input price, then the live quote, then the middle of the range
+function getReferencePrice() {
+  if (fullUnderlyingPrice != null) {
+    return fullUnderlyingPrice;
+  }
+  if (liveUnderlyingPrice != null) {
+    return liveUnderlyingPrice;
+  }
+  return (fullMinStrike + fullMaxStrike) / 2;
+}
+
+// Attach each leg's implied volatility: its own iv if given, otherwise the one solved from the live chain
+function withLegVolatility(positions) {
+  return positions.map(position => {
+    if (position.iv || !position.type) {
+      return position;
     }
+    // Undated legs take the nearest loaded expiration, as the chain is sorted by expiration
+    const contract = chainOptions.find(option => option.iv && matchesChainContract(position, option));
+    return contract ? { ...position, iv: contract.iv } : position;
+  });
+}
 
-    return response.json();
+// Calculate the Greek selected by greekSeries across the chart's price range for the given positions
+function buildGreekSeries(positions) {
+  if (!fullGreekSeries || !fullPricingModel || positions.length === 0) {
+    return null;
   }
 
-  // Get quote for a symbol
-  async getQuote(symbol) {
-    const url = `https://api.schwabapi.com/v1/marketdata/quotes?symbols=${symbol}`;
-    return this.makeApiCall(url);
+  const range = getChartRange();
+  return {
+    name: fullGreekSeries,
+    data: ChartModule.calculateGreeksCurve(
+      withLegVolatility(positions),
+      range.minPrice,
+      range.maxPrice,
+      range.step,
+      getPricingModelAt(0)
+    )
+  };
+}
+
+// Lognormal model of the underlying on the evaluation date, or null without a pricing model.
+// Uses the input iv, or the quantity-weighted average of the legs' own IVs when there is none.
+function getDistributionModel(positions) {
+  if (!fullPricingModel) {
+    return null;
   }
 
-  // Get options chain
-  async getOptionsChain(symbol, expirationDate) {
-    const url = `https://api.schwabapi.com/v1/marketdata/chains?symbol=${symbol}&expirationDate=${expirationDate}`;
-    return this.makeApiCall(url);
+  let volatility = fullPricingModel.volatility;
+  if (!volatility) {
+    const pricedLegs = withLegVolatility(positions).filter(position => position.iv);
+    const totalQty = pricedLegs.reduce((sum, position) => sum + Math.abs(position.qty), 0);
+    volatility = totalQty > 0 ? pricedLegs.reduce((sum, position) => sum + position.iv * Math.abs(position.qty), 0) / totalQty : null;
   }
 
-  // Get option expirations
-  async getOptionExpirations(symbol) {
-    const url = `https://api.schwabapi.com/v1/marketdata/expirationchain?symbol=${symbol}`;
-    return this.makeApiCall(url);
+  const daysToEvaluation = fullViewExpiration ?
+    ChartModule.daysBetween(ChartModule.getTodayDate(), fullViewExpiration) : fullPricingModel.daysToExpiry;
+  if (!(volatility > 0) || !(daysToEvaluation > 0)) {
+    return null;
   }
+
+  return {
+    underlyingPrice: getReferencePrice(),
+    volatility,
+    yearsToExpiry: daysToEvaluation / 365,
+    rate: fullPricingModel.rate
+  };
 }
 
-// Create global Schwab service instance
-const schwabService = new SchwabBrowserService();
+// Calculate the density curve shaded under the chart when showDistribution is on
+function buildDistribution(positions) {
+  const distributionModel = fullShowDistribution ? getDistributionModel(positions) : null;
+  if (!distributionModel) {
+    return [];
+  }
+  const range = getChartRange();
+  return ChartModule.calculateDistributionCurve(range.minPrice, range.maxPrice, range.step, distributionModel);
+}
 
-// Function to update the chart based on slider value
-function updateChartWithSlider() {
-  const slider = document.getElementById('optionRange');
-  const count = parseInt(slider.value);
-  document.getElementById('optionCount').textContent = count;
-  
-  // Get a subset of the original options based on the slider value
-  const visibleOptions = fullOptionArray.slice(0, count);
-  
-  // Create a map to combine the visible options for chart rendering
-  const visibleCombinedMap = new Map();
-  
-  visibleOptions.forEach(option => {
-    // Only process real options, not standalone cost adjustments
-    if (option.type && option.strike !== null) {
-      const key = `${option.type}${option.strike}`;
-      if (visibleCombinedMap.has(key)) {
-        visibleCombinedMap.get(key).qty += option.qty;
-      } else {
-        visibleCombinedMap.set(key, { ...option });
-      }
+// Exact break-evens and max profit and loss at the evaluated expiration, or null when later legs still have time value
+function buildPayoffSummary(positions, cost = fullCost) {
+  return ChartModule.solveExpirationPayoff(positions, cost, fullViewExpiration);
+}
+
+// Capital the position ties up at the reference price, valuing its options now when there is a pricing model.
+// optionsCost is the position's cost without its shares and futures, which count at their entry price.
+function buildMarginEstimate(positions, optionsCost) {
+  return ChartModule.estimateMarginRequirement(withLegVolatility(positions), getReferencePrice(), {
+    optionsCost,
+    stressPct: fullStressPct,
+    model: fullPricingModel ? getPricingModelAt(0) : null
+  });
+}
+
+// The Reg-T and portfolio margin estimates, each with the return on it at max profit, for the output
+function formatMarginEstimate(margin, payoffSummary) {
+  const formatDollars = value => `${value < 0 ? '-' : ''}$${Math.abs(value).toFixed(2)}`;
+  const formatReturn = requirement => {
+    if (!payoffSummary || !(requirement > 0)) {
+      return '';
     }
+    if (payoffSummary.maxProfit.unlimited) {
+      return ', unlimited return on capital';
+    }
+    return `, return on capital ${(payoffSummary.maxProfit.value / requirement * 100).toFixed(1)}% at max profit`;
+  };
+
+  const { regT, portfolioMargin } = margin;
+  const naked = regT.naked.map(leg => `${formatOptionLeg(leg)} ${formatDollars(leg.requirement)}`);
+  return `
+      <strong>Margin (Reg-T estimate at $${getReferencePrice().toFixed(2)}):</strong> ${regT.requirement === null ?
+        'not estimated, the loss is unlimited' : `${formatDollars(regT.requirement)}${formatReturn(regT.requirement)}`}<br>
+      ${naked.length > 0 ? `<strong>Naked Shorts:</strong> ${naked.join(', ')}<br>` : ''}
+      <strong>Portfolio Margin (&plusmn;${portfolioMargin.stressPct}% stress):</strong> ${formatDollars(portfolioMargin.requirement)}${formatReturn(portfolioMargin.requirement)}<br>
+  `;
+}
+
+// Expiration curve of each scenario combined with the given positions, in the scenario's chart color.
+// The scenario's own cost is taken off its curve, so every curve's profit is measured against the position's cost.
+function buildScenarioCurves(positions, range = getChartRange()) {
+  return fullScenarios.map((scenario, index) => {
+    const scenarioPositions = ChartModule.combinePositions(positions.concat(scenario.legs), fullContractMultiplier)
+      .filter(option => option.qty !== 0);
+    const data = ChartModule.calculatePortfolioValueAtExpiration(
+      withLegVolatility(scenarioPositions),
+      range.minPrice,
+      range.maxPrice,
+      range.step,
+      getExpirationModel()
+    ).map(point => ({ ...point, totalIntrinsicValue: point.totalIntrinsicValue - scenario.cost }));
+
+    return {
+      name: scenario.name,
+      color: ChartModule.SCENARIO_COLORS[index % ChartModule.SCENARIO_COLORS.length],
+      visible: !hiddenScenarios.has(scenario.name),
+      positions: scenarioPositions,
+      data
+    };
   });
-  
-  const visibleCombinedOptions = Array.from(visibleCombinedMap.values());
-  
-  // Calculate portfolio values with the filtered and combined options
-  const data = ChartModule.calculatePortfolioValueAtExpiration(
-    visibleCombinedOptions,
-    fullMinStrike,
-    fullMaxStrike,
-    fullStrikeIncrement
-  );
-  
-  // Draw the chart with the filtered data but show all original positions in the labels
-  ChartModule.drawChart(data, fullCost, visibleOptions);
+}
+
+// A checkbox per scenario to show or hide its curve, in the scenario's color
+function updateScenarioToggles() {
+  const container = document.getElementById('scenario-toggles');
+  container.innerHTML = '';
+  container.style.display = fullScenarios.length > 0 ? 'flex' : 'none';
+
+  fullScenarios.forEach((scenario, index) => {
+    const label = document.createElement('label');
+    const checkbox = document.createElement('input');
+    checkbox.type = 'checkbox';
+    checkbox.checked = !hiddenScenarios.has(scenario.name);
+    checkbox.addEventListener('change', () => toggleScenario(scenario.name, checkbox.checked));
+    const swatch = document.createElement('span');
+    swatch.className = 'scenario-swatch';
+    swatch.style.borderColor = ChartModule.SCENARIO_COLORS[index % ChartModule.SCENARIO_COLORS.length];
+    label.append(checkbox, swatch, scenario.name);
+    container.appendChild(label);
+  });
+}
+
+function toggleScenario(name, visible) {
+  if (visible) {
+    hiddenScenarios.delete(name);
+  } else {
+    hiddenScenarios.add(name);
+  }
+  updateChartWithSlider();
+}
+
+// Compare the exact max profit, max loss and break-evens of the position and of each scenario added to it
+function formatScenarioComparison(positions) {
+  const formatDollars = value => `${value >= 0 ? '+' : '-'}$${Math.abs(value).toFixed(2)}`;
+  const formatExtreme = extreme => (extreme.unlimited ? 'Unlimited' : formatDollars(extreme.value));
+  const formatMaxLoss = extreme => (!extreme.unlimited && extreme.value >= 0 ? 'none' : formatExtreme(extreme));
+  const rows = [['', 'Max profit', 'Max loss', 'Break-evens']];
+  const addRow = (name, summary) => rows.push(summary ? [
+    name,
+    formatExtreme(summary.maxProfit),
+    formatMaxLoss(summary.maxLoss),
+    summary.breakEvens.length > 0 ? summary.breakEvens.map(price => `$${price.toFixed(2)}`).join(', ') : 'none'
+  ] : [name, 'n/a', 'n/a', 'n/a']);
+
+  addRow('Position', buildPayoffSummary(positions));
+  buildScenarioCurves(positions).forEach((scenario, index) => {
+    addRow(scenario.name, ChartModule.solveExpirationPayoff(scenario.positions, fullCost + fullScenarios[index].cost, fullViewExpiration));
+  });
+
+  const widths = [0, 1, 2].map(column => Math.max(...rows.map(row => row[column].length)) + 2);
+  return rows
+    .map(row => row[0].padEnd(widths[0]) + row[1].padStart(widths[1]) + row[2].padStart(widths[2]) + '  ' + row[3])
+    .join('\n');
+}
+
+// Describe the payoff summary for the output, e.g. "Max profit: +$1500.00 at $640.00 and above"
+function formatPayoffSummary(summary) {
+  const formatPrice = price => `$${price.toFixed(2)}`;
+  const formatSignedDollars = value => `${value >= 0 ? '+' : '-'}$${Math.abs(value).toFixed(2)}`;
+  const formatRange = range => {
+    if (range.to === Infinity) {
+      return `at ${formatPrice(range.from)} and above`;
+    }
+    if (range.from === 0 && range.to > 0) {
+      return `at ${formatPrice(range.to)} and below`;
+    }
+    return range.from === range.to ? `at ${formatPrice(range.from)}` : `from ${formatPrice(range.from)} to ${formatPrice(range.to)}`;
+  };
+  const formatExtreme = (extreme, direction) => (extreme.unlimited ?
+    `Unlimited, ${direction} $${Math.abs(summary.slope).toFixed(2)} per $1 above the highest strike` :
+    `${formatSignedDollars(extreme.value)} ${extreme.ranges.map(formatRange).join(', ')}`);
+  // A position that can't lose has no max loss, only a minimum profit
+  const formatMaxLoss = extreme => (!extreme.unlimited && extreme.value >= 0 ?
+    `none (minimum profit ${formatExtreme(extreme)})` : formatExtreme(extreme, 'losing'));
+
+  return [
+    `Break-evens:  ${summary.breakEvens.length > 0 ? summary.breakEvens.map(formatPrice).join(', ') : 'none'}`,
+    `Max profit:   ${formatExtreme(summary.maxProfit, 'gaining')}`,
+    `Max loss:     ${formatMaxLoss(summary.maxLoss)}`
+  ].join('\n');
+}
+
+// Calculate the T+N theoretical value curves over the chart's price range for the given positions
+function buildTheoreticalCurves(positions) {
+  if (!fullPricingModel || positions.length === 0) {
+    return [];
+  }
+
+  const range = getChartRange();
+  return fullPricingModel.curveDays.map(daysElapsed => ({
+    label: `T+${daysElapsed}`,
+    data: ChartModule.calculatePortfolioTheoreticalValue(
+      withLegVolatility(positions),
+      range.minPrice,
+      range.maxPrice,
+      range.step,
+      getPricingModelAt(daysElapsed)
+    )
+  }));
 }
 
 // Function to show all options
 function showAllOptions() {
   const slider = document.getElementById('optionRange');
-  slider.value = fullOptionArray.length;
-  document.getElementById('optionCount').textContent = fullOptionArray.length;
+  slider.value = getSliderSteps();
   updateChartWithSlider();
 }
 
 // Schwab API Integration Functions
 
+// Load the app key and endpoints saved by the login form
+function loadSchwabConfig() {
+  return {
+    clientId: localStorage.getItem('schwab_client_id'),
+    redirectUri: localStorage.getItem('schwab_redirect_uri') || `${window.location.origin}${window.location.pathname}`,
+    authBaseUrl: localStorage.getItem('schwab_auth_url'),
+    apiBaseUrl: localStorage.getItem('schwab_api_url')
+  };
+}
+
+// Persist tokens whenever the service gets new ones, and reflect the session in the status
+function handleSchwabTokensChanged(service) {
+  if (service.isAuthenticated) {
+    localStorage.setItem('schwab_access_token', service.accessToken);
+    localStorage.setItem('schwab_refresh_token', service.refreshToken);
+    if (service.accessTokenExpiresAt) {
+      localStorage.setItem('schwab_token_expires_at', String(service.accessTokenExpiresAt));
+    } else {
+      localStorage.removeItem('schwab_token_expires_at');
+    }
+  } else {
+    schwabConnected = false;
+  }
+  updateTokenExpiryStatus();
+}
+
+// Show how long the access token has left, or that the session has expired
+function updateTokenExpiryStatus() {
+  if (!schwabService.isAuthenticated) {
+    if (schwabService.accessToken) {
+      updateSchwabStatus('Session expired - log in again', 'error');
+    }
+    return;
+  }
+
+  if (!schwabService.accessTokenExpiresAt) {
+    updateSchwabStatus('Connected', 'success');
+    return;
+  }
+
+  const minutesLeft = Math.round((schwabService.accessTokenExpiresAt - Date.now()) / 60000);
+  if (minutesLeft > 0) {
+    updateSchwabStatus(`Connected (token expires in ${minutesLeft} min)`, 'success');
+  } else if (schwabService.canRefresh()) {
+    updateSchwabStatus('Connected (token will refresh on next call)', 'success');
+  } else {
+    updateSchwabStatus('Token expired - log in again', 'error');
+  }
+}
+
+// Complete the login when Schwab redirects back with ?code=...&state=...
+async function completeSchwabLogin() {
+  const params = new URLSearchParams(window.location.search);
+  const code = params.get('code');
+  if (!code) {
+    return false;
+  }
+
+  // Remove the code from the address bar so a reload doesn't try to reuse it
+  const expectedState = sessionStorage.getItem('schwab_oauth_state');
+  const codeVerifier = sessionStorage.getItem('schwab_code_verifier');
+  sessionStorage.removeItem('schwab_oauth_state');
+  sessionStorage.removeItem('schwab_code_verifier');
+  window.history.replaceState(null, '', `${window.location.origin}${window.location.pathname}${window.location.hash}`);
+
+  if (!expectedState || params.get('state') !== expectedState) {
+    throw new Error('Login response state does not match the login request');
+  }
+
+  return schwabService.exchangeAuthorizationCode(code, codeVerifier);
+}
+
+// Symbol saved tokens are checked with: the one the user is about to load live data for
+function getTokenCheckSymbol() {
+  return document.getElementById('symbol-input').value.trim().toUpperCase() || currentSymbol;
+}
+
 // Initialize Schwab API connection
 async function initializeSchwabAPI() {
   try {
-    // For browser implementation, we'll use manual token input
-    // In a real implementation, you'd have an OAuth flow here
+    // Earlier versions saved the app secret; the PKCE login doesn't use one, so don't keep it around
+    localStorage.removeItem('schwab_client_secret');
+    schwabService.configure(loadSchwabConfig());
+    schwabService.onTokensChanged = handleSchwabTokensChanged;
+
+    if (await completeSchwabLogin()) {
+      schwabConnected = true;
+      console.log('Schwab API connected successfully');
+      updateTokenExpiryStatus();
+      return true;
+    }
+
     const accessToken = localStorage.getItem('schwab_access_token');
     const refreshToken = localStorage.getItem('schwab_refresh_token');
+    const expiresAt = parseInt(localStorage.getItem('schwab_token_expires_at'), 10) || null;
     
     if (accessToken && refreshToken) {
-      const initialized = await schwabService.initializeWithTokens(accessToken, refreshToken);
+      const initialized = await schwabService.initializeWithTokens(accessToken, refreshToken, expiresAt, getTokenCheckSymbol());
       schwabConnected = initialized;
       
       if (initialized) {
         console.log('Schwab API connected successfully');
-        updateSchwabStatus('Connected', 'success');
+        updateTokenExpiryStatus();
         return true;
       }
     }
@@ -148,6 +717,41 @@ async function initializeSchwabAPI() {
   }
 }
 
+// Save the app settings from the login form and apply them to the service
+function saveSchwabConfig() {
+  const fields = {
+    schwab_client_id: 'client-id',
+    schwab_redirect_uri: 'redirect-uri',
+    schwab_auth_url: 'auth-url',
+    schwab_api_url: 'api-url'
+  };
+  Object.entries(fields).forEach(([storageKey, elementId]) => {
+    const value = document.getElementById(elementId).value.trim();
+    if (value) {
+      localStorage.setItem(storageKey, value);
+    } else {
+      localStorage.removeItem(storageKey);
+    }
+  });
+  schwabService.configure(loadSchwabConfig());
+}
+
+// Start the OAuth2 authorization-code login by sending the browser to the Schwab login page.
+// The PKCE code verifier stays in this tab's session until the login redirects back.
+async function loginWithSchwab() {
+  saveSchwabConfig();
+  if (!schwabService.clientId) {
+    alert('Please enter your app key');
+    return;
+  }
+
+  const state = Array.from(crypto.getRandomValues(new Uint8Array(16)), byte => byte.toString(16).padStart(2, '0')).join('');
+  const codeVerifier = SchwabBrowserService.createCodeVerifier();
+  sessionStorage.setItem('schwab_oauth_state', state);
+  sessionStorage.setItem('schwab_code_verifier', codeVerifier);
+  window.location.assign(schwabService.getAuthorizationUrl(state, await SchwabBrowserService.getCodeChallenge(codeVerifier)));
+}
+
 // Authenticate with Schwab API using manual token input
 async function authenticateSchwab() {
   const accessToken = document.getElementById('access-token').value;
@@ -159,20 +763,21 @@ async function authenticateSchwab() {
   }
   
   try {
-    const initialized = await schwabService.initializeWithTokens(accessToken, refreshToken);
+    saveSchwabConfig();
+    const initialized = await schwabService.initializeWithTokens(accessToken, refreshToken, null, getTokenCheckSymbol());
     schwabConnected = initialized;
     
     if (initialized) {
       // Save tokens to localStorage
-      localStorage.setItem('schwab_access_token', accessToken);
-      localStorage.setItem('schwab_refresh_token', refreshToken);
+      localStorage.setItem('schwab_access_token', schwabService.accessToken);
+      localStorage.setItem('schwab_refresh_token', schwabService.refreshToken);
       
       console.log('Schwab API connected successfully');
-      updateSchwabStatus('Connected', 'success');
+      updateTokenExpiryStatus();
       alert('Successfully connected to Schwab API!');
     } else {
-      updateSchwabStatus('Error', 'error');
-      alert('Failed to connect to Schwab API');
+      updateSchwabStatus('Invalid tokens', 'error');
+      alert('Failed to connect to Schwab API: the tokens were rejected');
     }
   } catch (error) {
     console.error('Error authenticating with Schwab API:', error);
@@ -190,15 +795,20 @@ function updateSchwabStatus(status, type) {
   }
 }
 
+// Provider used for live data requests: the recorder while recording, else the selected provider
+function getMarketDataProvider() {
+  return marketDataRecording ? marketDataRecorder : marketDataProvider;
+}
+
 // Get real-time quote for underlying symbol
 async function getUnderlyingQuote(symbol) {
-  if (!schwabConnected) {
-    console.log('Schwab API not connected');
+  if (!getMarketDataProvider().isConnected()) {
+    console.log(`${marketDataProvider.name} not connected`);
     return null;
   }
 
   try {
-    const quote = await schwabService.getQuote(symbol);
+    const quote = await getMarketDataProvider().getQuote(symbol);
     return quote;
   } catch (error) {
     console.error('Error getting quote:', error);
@@ -206,15 +816,15 @@ async function getUnderlyingQuote(symbol) {
   }
 }
 
-// Get options chain from Schwab
-async function getOptionsChainFromSchwab(symbol, expirationDate) {
-  if (!schwabConnected) {
-    console.log('Schwab API not connected');
+// Get the option chain contracts for one expiration
+async function getOptionsChain(symbol, expirationDate) {
+  if (!getMarketDataProvider().isConnected()) {
+    console.log(`${marketDataProvider.name} not connected`);
     return null;
   }
 
   try {
-    const chain = await schwabService.getOptionsChain(symbol, expirationDate);
+    const chain = await getMarketDataProvider().getChain(symbol, expirationDate);
     return chain;
   } catch (error) {
     console.error('Error getting options chain:', error);
@@ -222,15 +832,15 @@ async function getOptionsChainFromSchwab(symbol, expirationDate) {
   }
 }
 
-// Get option expirations from Schwab
-async function getOptionExpirationsFromSchwab(symbol) {
-  if (!schwabConnected) {
-    console.log('Schwab API not connected');
+// Get option expiration dates
+async function getOptionExpirations(symbol) {
+  if (!getMarketDataProvider().isConnected()) {
+    console.log(`${marketDataProvider.name} not connected`);
     return null;
   }
 
   try {
-    const expirations = await schwabService.getOptionExpirations(symbol);
+    const expirations = await getMarketDataProvider().getExpirations(symbol);
     return expirations;
   } catch (error) {
     console.error('Error getting option expirations:', error);
@@ -238,103 +848,395 @@ async function getOptionExpirationsFromSchwab(symbol) {
   }
 }
 
-// Parse Schwab options data and convert to calculator format
-function parseSchwabOptionsData(chainData) {
-  const options = [];
-  
-  if (chainData && chainData.callExp && chainData.putExp) {
-    // Process calls
-    chainData.callExp.forEach(call => {
-      if (call.strike && call.last !== null && call.last !== undefined) {
-        options.push({
-          type: 'c',
-          strike: call.strike,
-          last: call.last,
-          bid: call.bid,
-          ask: call.ask,
-          volume: call.totalVolume,
-          openInterest: call.openInterest
-        });
-      }
-    });
-    
-    // Process puts
-    chainData.putExp.forEach(put => {
-      if (put.strike && put.last !== null && put.last !== undefined) {
-        options.push({
-          type: 'p',
-          strike: put.strike,
-          last: put.last,
-          bid: put.bid,
-          ask: put.ask,
-          volume: put.totalVolume,
-          openInterest: put.openInterest
-        });
-      }
-    });
+// Solve the implied volatility of a chain contract from its bid/ask mid
+function solveContractVolatility(type, contract, underlyingPrice) {
+  const mid = (contract.bid + contract.ask) / 2;
+  if (!underlyingPrice || !(contract.daysToExpiration >= 0) || !(mid > 0)) {
+    return null;
   }
-  
-  return options;
+
+  // Treat same-day expirations as a fraction of a day so they can still be solved
+  const yearsToExpiry = Math.max(contract.daysToExpiration, 0.5) / 365;
+  const rate = fullPricingModel ? fullPricingModel.rate : 0;
+  return ChartModule.impliedVolatility(type, mid, underlyingPrice, contract.strike, yearsToExpiry, rate);
 }
 
-// Update calculator with live Schwab data
+// Update calculator with live market data
 async function updateCalculatorWithLiveData(symbol) {
-  if (!schwabConnected) {
-    console.log('Schwab API not connected');
+  if (!getMarketDataProvider().isConnected()) {
+    console.log(`${marketDataProvider.name} not connected`);
     return;
   }
 
   try {
     // Get underlying quote
     const quote = await getUnderlyingQuote(symbol);
-    if (quote && quote.quote) {
-      updateUnderlyingPrice(quote.quote.lastPrice);
+    const underlyingPrice = quote ? quote.lastPrice : null;
+    if (underlyingPrice != null) {
+      updateUnderlyingPrice(underlyingPrice);
     }
 
-    // Get options chain
-    const expirations = await getOptionExpirationsFromSchwab(symbol);
-    if (expirations && expirations.expirationList && expirations.expirationList.length > 0) {
-      const nearestExpiration = expirations.expirationList[0]; // Use nearest expiration
-      const chainData = await getOptionsChainFromSchwab(symbol, nearestExpiration);
-      
-      if (chainData) {
-        const options = parseSchwabOptionsData(chainData);
-        updateOptionsChain(options);
+    // Load the chain for each selected expiration, or the nearest one when none is selected
+    if (chainExpirations.length === 0) {
+      await loadChainExpirations(symbol);
+    }
+    const selectedExpirations = getSelectedChainExpirations();
+    const options = [];
+    for (const expiration of selectedExpirations) {
+      const contracts = await getOptionsChain(symbol, expiration);
+      if (contracts) {
+        // Solve each contract's implied volatility so theoretical pricing can use it
+        options.push(...contracts.map(contract => ({
+          ...contract,
+          iv: solveContractVolatility(contract.type, contract, underlyingPrice)
+        })));
       }
     }
+    if (options.length > 0) {
+      updateOptionsChain(options);
+    }
+
+    updateMarketDataStatus();
+
+    // Mark the entered position to market and move the "now" marker
+    updateLiveMarks();
+    if (fullOptionArray.length > 0) {
+      updateChartWithSlider();
+    }
   } catch (error) {
     console.error('Error updating with live data:', error);
   }
 }
 
+// Fetch the expirations for a symbol and fill the picker, keeping the saved selection where it still exists
+async function loadChainExpirations(symbol) {
+  chainExpirations = (await getOptionExpirations(symbol)) || [];
+
+  const select = document.getElementById('chain-expirations');
+  if (!select) {
+    return chainExpirations;
+  }
+
+  const selected = loadSavedChainExpirations().filter(date => chainExpirations.includes(date));
+  if (selected.length === 0 && chainExpirations.length > 0) {
+    selected.push(chainExpirations[0]);
+  }
+
+  select.innerHTML = chainExpirations
+    .map(date => `<option value="${date}"${selected.includes(date) ? ' selected' : ''}>${date}</option>`)
+    .join('');
+  return chainExpirations;
+}
+
+// The expirations picked for the chain last time. A saved value that can't be read is cleared instead of
+// stopping the chain from loading.
+function loadSavedChainExpirations() {
+  try {
+    const saved = JSON.parse(localStorage.getItem('optioncalc_chain_expirations') || '[]');
+    if (!Array.isArray(saved)) {
+      throw new Error('The saved expirations are not a list');
+    }
+    return saved;
+  } catch (error) {
+    console.error('Error loading saved chain expirations:', error);
+    localStorage.removeItem('optioncalc_chain_expirations');
+    return [];
+  }
+}
+
+// Expirations chosen in the picker, defaulting to the nearest one
+function getSelectedChainExpirations() {
+  const select = document.getElementById('chain-expirations');
+  const selected = select ? Array.from(select.selectedOptions, option => option.value) : [];
+  if (selected.length > 0) {
+    return selected;
+  }
+  return chainExpirations.length > 0 ? [chainExpirations[0]] : [];
+}
+
+// Switch the live data to the symbol typed in the symbol input
+async function selectSymbol() {
+  const symbol = document.getElementById('symbol-input').value.trim().toUpperCase();
+  if (!symbol || symbol === currentSymbol) {
+    return;
+  }
+
+  currentSymbol = symbol;
+  localStorage.setItem('optioncalc_symbol', symbol);
+
+  // A different symbol has different contracts, so drop the old chain and its expirations
+  await reloadLiveChain();
+}
+
+// Clear the chain and its expirations, then load them again from the current provider
+async function reloadLiveChain() {
+  chainOptions = [];
+  chainExpirations = [];
+  const chainElement = document.getElementById('options-chain');
+  if (chainElement) {
+    chainElement.innerHTML = '<p>Options chain will appear here when live data is enabled</p>';
+  }
+  const select = document.getElementById('chain-expirations');
+  if (select) {
+    select.innerHTML = '';
+  }
+
+  if (getMarketDataProvider().isConnected() && currentSymbol) {
+    await loadChainExpirations(currentSymbol);
+    await updateCalculatorWithLiveData(currentSymbol);
+  }
+}
+
+// Remember the chosen expirations and reload the chain for them
+async function selectChainExpirations() {
+  localStorage.setItem('optioncalc_chain_expirations', JSON.stringify(getSelectedChainExpirations()));
+  if (getMarketDataProvider().isConnected() && currentSymbol) {
+    await updateCalculatorWithLiveData(currentSymbol);
+  }
+}
+
+// Switch the live data between the Schwab API and replayed snapshot files
+async function selectDataProvider() {
+  const source = document.getElementById('data-provider').value;
+  const fileInput = document.getElementById('replay-file');
+  fileInput.style.display = source === 'replay' ? 'inline-block' : 'none';
+
+  if (source === 'replay') {
+    // Nothing to replay until files are picked
+    fileInput.value = '';
+    await useMarketDataProvider(new FileReplayProvider([]));
+  } else {
+    await useMarketDataProvider(new SchwabMarketDataProvider(schwabService));
+  }
+}
+
+// Replay the snapshot files picked in the file input
+async function loadReplayFiles(event) {
+  let provider;
+  try {
+    provider = await FileReplayProvider.fromFiles(event.target.files);
+  } catch (error) {
+    console.error('Error loading replay files:', error);
+    updateMarketDataStatus(error.message, 'error');
+    return;
+  }
+
+  // Switch to a recorded symbol when the current one isn't in the files
+  if (!provider.symbols.includes(currentSymbol)) {
+    document.getElementById('symbol-input').value = provider.symbols[0];
+    await useMarketDataProvider(provider, false);
+    await selectSymbol();
+  } else {
+    await useMarketDataProvider(provider);
+  }
+}
+
+// Make a provider the source of live data, keeping any recording going
+async function useMarketDataProvider(provider, reload = true) {
+  marketDataProvider = provider;
+  if (marketDataRecorder) {
+    marketDataRecorder.provider = provider;
+  }
+  updateMarketDataStatus();
+  if (reload) {
+    await reloadLiveChain();
+  }
+}
+
+// Start a new recording of the live data, or stop the current one
+function toggleRecording() {
+  marketDataRecording = document.getElementById('record-data').checked;
+  if (marketDataRecording) {
+    marketDataRecorder = new RecordingProvider(marketDataProvider);
+  }
+  updateMarketDataStatus();
+}
+
+// Save the recording as a snapshot file that the replay provider can load
+function downloadRecording() {
+  if (!marketDataRecorder || marketDataRecorder.frameCount === 0) {
+    alert('Nothing has been recorded yet. Tick Record and start live data first.');
+    return;
+  }
+
+  const blob = new Blob([JSON.stringify(marketDataRecorder.toSnapshotFile(), null, 2)], { type: 'application/json' });
+  const link = document.createElement('a');
+  link.href = URL.createObjectURL(blob);
+  link.download = `market-data-${new Date().toISOString().slice(0, 19).replace(/:/g, '-')}.json`;
+  link.click();
+  URL.revokeObjectURL(link.href);
+}
+
+// Show which source the live data comes from and how much has been recorded
+function updateMarketDataStatus(message = null, type = 'success') {
+  const statusElement = document.getElementById('market-data-status');
+  if (!statusElement) {
+    return;
+  }
+
+  if (!message) {
+    const parts = [];
+    if (marketDataProvider instanceof FileReplayProvider) {
+      parts.push(marketDataProvider.isConnected() ?
+        `Replaying ${marketDataProvider.symbols.map(symbol => `${symbol} (${marketDataProvider.getFrameCount(symbol)} frames)`).join(', ')}` :
+        'Choose snapshot files to replay');
+    }
+    if (marketDataRecording) {
+      parts.push(`Recording: ${marketDataRecorder.frameCount} frames`);
+    }
+    message = parts.join(' · ');
+  }
+  statusElement.textContent = message;
+  statusElement.className = message ? `status-${type}` : '';
+}
+
 // Update underlying price in UI
 function updateUnderlyingPrice(price) {
+  liveUnderlyingPrice = price;
   const priceElement = document.getElementById('underlying-price');
   if (priceElement) {
     priceElement.textContent = `$${price.toFixed(2)}`;
   }
 }
 
+// Whether a chain contract is the one a leg refers to; undated legs match any expiration
+function matchesChainContract(position, option) {
+  return position.type === option.type && position.strike === option.strike &&
+    (!position.expiration || !option.expiration || position.expiration === option.expiration);
+}
+
+// Net quantity held at each option type, strike and expiration, for highlighting the chain
+function getHeldQuantity(option) {
+  let held = 0;
+  combinedOptionMap.forEach(position => {
+    if (matchesChainContract(position, option)) {
+      held += position.qty;
+    }
+  });
+  return held;
+}
+
+// Price every entered leg at the chain's bid, mid and ask. Closing at the natural price sells
+// longs at the bid and buys shorts back at the ask; shares and futures are marked at the live price.
+function calculateLiveMarks(positions, options, underlyingPrice) {
+  const legs = [];
+  const missing = [];
+
+  positions.forEach(position => {
+    let quote = null;
+    if (ChartModule.isUnderlyingPosition(position)) {
+      quote = underlyingPrice != null ? { bid: underlyingPrice, ask: underlyingPrice, mid: underlyingPrice } : null;
+    } else {
+      const option = options.find(candidate => matchesChainContract(position, candidate));
+      quote = option ? { bid: option.bid, ask: option.ask, mid: getChainMid(option) } : null;
+    }
+
+    if (!quote) {
+      missing.push(position);
+      return;
+    }
+
+    const size = position.qty * ChartModule.getPositionMultiplier(position);
+    legs.push({
+      position,
+      ...quote,
+      midValue: size * quote.mid,
+      naturalValue: size * (position.qty > 0 ? quote.bid : quote.ask)
+    });
+  });
+
+  const midValue = legs.reduce((sum, leg) => sum + leg.midValue, 0);
+  const naturalValue = legs.reduce((sum, leg) => sum + leg.naturalValue, 0);
+  return {
+    legs,
+    missing,
+    midValue,
+    naturalValue,
+    midPnl: midValue - fullCost,
+    naturalPnl: naturalValue - fullCost
+  };
+}
+
+// Re-mark the entered position against the latest chain and show the result
+function updateLiveMarks() {
+  const pnlElement = document.getElementById('live-pnl');
+  if (chainOptions.length === 0 || combinedOptionMap.size === 0) {
+    liveMarks = null;
+    if (pnlElement) {
+      pnlElement.innerHTML = '';
+    }
+    return;
+  }
+
+  liveMarks = calculateLiveMarks(Array.from(combinedOptionMap.values()), chainOptions, liveUnderlyingPrice);
+  if (!pnlElement) {
+    return;
+  }
+
+  const formatMoney = value => `${value < 0 ? '-' : ''}$${Math.abs(value).toFixed(2)}`;
+  const formatPnl = value => `<span class="${value >= 0 ? 'pnl-positive' : 'pnl-negative'}">${value >= 0 ? '+' : ''}${formatMoney(value)}</span>`;
+
+  let html = '<table class="options-table"><thead><tr><th>Leg</th><th>Bid</th><th>Mid</th><th>Ask</th><th>Value</th></tr></thead><tbody>';
+  liveMarks.legs.forEach(leg => {
+    html += `<tr>
+      <td>${formatOptionLeg(leg.position)}</td>
+      <td>${leg.bid.toFixed(2)}</td>
+      <td>${leg.mid.toFixed(2)}</td>
+      <td>${leg.ask.toFixed(2)}</td>
+      <td>${formatMoney(leg.midValue)}</td>
+    </tr>`;
+  });
+  html += '</tbody></table>';
+
+  html += `<div>Liquidation value: ${formatMoney(liveMarks.naturalValue)} natural, ${formatMoney(liveMarks.midValue)} mid</div>`;
+  html += `<div>Unrealized P&amp;L: ${formatPnl(liveMarks.naturalPnl)} natural, ${formatPnl(liveMarks.midPnl)} mid (cost ${formatMoney(fullCost)})</div>`;
+  if (liveMarks.missing.length > 0) {
+    html += `<div class="pnl-negative">Not in the chain, left out of the totals: ${liveMarks.missing.map(formatOptionLeg).join(', ')}</div>`;
+  }
+  pnlElement.innerHTML = html;
+}
+
+// Chart options for the "now" marker at the live underlying price, with the position's mid value when it is fully shown
+function buildLiveMarker(includeValue = true) {
+  if (liveUnderlyingPrice == null) {
+    return {};
+  }
+  return {
+    currentPrice: liveUnderlyingPrice,
+    currentValue: includeValue && liveMarks && liveMarks.missing.length === 0 ? liveMarks.midValue : null
+  };
+}
+
 // Update options chain in UI
 function updateOptionsChain(options) {
   const chainElement = document.getElementById('options-chain');
   if (chainElement && options.length > 0) {
-    // Sort options by strike
-    options.sort((a, b) => a.strike - b.strike);
+    // Sort options by expiration, then strike
+    options.sort((a, b) => (a.expiration || '').localeCompare(b.expiration || '') || a.strike - b.strike);
+    chainOptions = options;
     
     // Create HTML table
-    let html = '<table class="options-table"><thead><tr><th>Type</th><th>Strike</th><th>Last</th><th>Bid</th><th>Ask</th><th>Volume</th><th>OI</th></tr></thead><tbody>';
+    let html = '<table class="options-table"><thead><tr><th>Type</th><th>Strike</th><th>Last</th><th>Bid</th><th>Ask</th><th>IV</th><th>Volume</th><th>OI</th><th>Held</th></tr></thead><tbody>';
     
-    options.forEach(option => {
-      const rowClass = option.type === 'c' ? 'call-row' : 'put-row';
-      html += `<tr class="${rowClass}">
+    options.forEach((option, index) => {
+      // Start a group for each expiration when several are loaded
+      if (option.expiration && (index === 0 || option.expiration !== options[index - 1].expiration)) {
+        const daysToExpiration = ChartModule.daysBetween(ChartModule.getTodayDate(), option.expiration);
+        html += `<tr class="expiration-row"><td colspan="9">${option.expiration} (${daysToExpiration} DTE)</td></tr>`;
+      }
+
+      const held = getHeldQuantity(option);
+      const rowClass = (option.type === 'c' ? 'call-row' : 'put-row') + (held !== 0 ? ' held-row' : '');
+      html += `<tr class="${rowClass}" data-index="${index}">
         <td>${option.type.toUpperCase()}</td>
         <td>$${option.strike}</td>
         <td>$${option.last.toFixed(2)}</td>
         <td>$${option.bid.toFixed(2)}</td>
         <td>$${option.ask.toFixed(2)}</td>
+        <td>${option.iv ? (option.iv * 100).toFixed(1) + '%' : '--'}</td>
         <td>${option.volume || 0}</td>
         <td>${option.openInterest || 0}</td>
+        <td>${held !== 0 ? (held > 0 ? '+' : '') + held : ''}</td>
       </tr>`;
     });
     
@@ -343,6 +1245,134 @@ function updateOptionsChain(options) {
   }
 }
 
+// Open the order ticket for the chain row that was clicked
+function selectChainRow(event) {
+  const row = event.target.closest('tr[data-index]');
+  if (!row) {
+    return;
+  }
+
+  const option = chainOptions[Number(row.dataset.index)];
+  const ticket = document.getElementById('chain-order');
+  ticket.dataset.index = row.dataset.index;
+  document.getElementById('chain-order-contract').textContent =
+    `${option.type === 'c' ? 'Call' : 'Put'} ${option.strike}${option.expiration ? ' ' + option.expiration : ''} @ $${getChainMid(option).toFixed(2)} mid`;
+  ticket.style.display = 'flex';
+}
+
+// Mid price of a chain contract, falling back to the last trade when there is no two-sided quote
+function getChainMid(option) {
+  return option.bid > 0 && option.ask > 0 ? (option.bid + option.ask) / 2 : option.last;
+}
+
+// Add the leg from the order ticket to the input and redraw the chart
+function addChainLeg() {
+  const ticket = document.getElementById('chain-order');
+  const option = chainOptions[Number(ticket.dataset.index)];
+  const quantity = parseInt(document.getElementById('chain-order-qty').value, 10);
+  if (!option || !(quantity > 0)) {
+    alert('Please enter a positive quantity');
+    return;
+  }
+
+  const textInput = document.getElementById('textInput');
+  const mid = Math.round(getChainMid(option) * 100) / 100;
+  if (!(mid >= 0)) {
+    alert('This contract has no quote or last trade to fill it at');
+    return;
+  }
+  const leg = {
+    qty: document.getElementById('chain-order-side').value === 'sell' ? -quantity : quantity,
+    type: option.type,
+    strike: option.strike,
+    expiration: option.expiration || null,
+    fillPrice: mid
+  };
+
+  try {
+    textInput.value = appendLegToInput(textInput.value, leg);
+  } catch (error) {
+    alert(error.message);
+    return;
+  }
+
+  ticket.style.display = 'none';
+  processInput();
+  updateOptionsChain(chainOptions);
+}
+
+// Append a leg { qty, type, strike, expiration, fillPrice } to the optionArray of the input text, filled at its
+// fill price, keeping the rest of the text as typed. Fills are turned on when the input doesn't use them yet, and
+// in a journal the leg is dated now.
+function appendLegToInput(inputText, leg) {
+  const legText = `${leg.qty}${leg.type}${leg.strike}${leg.expiration ? `/${leg.expiration}` : ''}@${leg.fillPrice}`;
+  const legObject = { ...leg, expiration: leg.expiration || undefined };
+  if (!inputText.trim()) {
+    return `fills: true\n${legText}\n`;
+  }
+
+  // An empty array has no legs to read the input's mode from, and an object leg carries its own fill price
+  const emptyArrayMatch = inputText.match(/("optionArray"\s*:\s*\[)\s*\]/);
+  if (emptyArrayMatch) {
+    return `${inputText.slice(0, emptyArrayMatch.index)}${emptyArrayMatch[1]}${JSON.stringify(legObject)}]` +
+      inputText.slice(emptyArrayMatch.index + emptyArrayMatch[0].length);
+  }
+
+  const { result } = ChartModule.analyzePositionInput(inputText);
+  if (!result) {
+    throw new Error('Please fix the errors in the input before adding a leg to it');
+  }
+  const isJson = inputText.trim().startsWith('{');
+  const isJournal = result.optionArray.some(option => option.time);
+  const usesFills = result.input.fills === true || isJournal;
+
+  // An array of legs can hold any text in its labels, so the leg goes after the end of the last leg the parser
+  // found, as an object when it needs a fill price or date the input's "@" can't give it
+  if (isJson && Array.isArray(result.input.optionArray)) {
+    // String legs are located without their closing quote
+    let end = Math.max(...result.optionArrayLocations.map(location => location.offset + location.length));
+    if (inputText[end] === '"') {
+      end++;
+    }
+    const added = !usesFills || isJournal ?
+      JSON.stringify({ ...legObject, ...(isJournal && { time: getJournalNow() }) }) : `"${legText}"`;
+    return `${inputText.slice(0, end)}, ${added}${inputText.slice(end)}`;
+  }
+
+  // Elsewhere "@" only means a fill price with fills on, which can't be turned on under legs that use it as a cost
+  if (!usesFills && result.optionArray.some(option => option.type && option.costAdjustment !== 0)) {
+    throw new Error('The legs\' "@" are dollar cost adjustments here; add fills: true and enter fill prices to add legs from the chain');
+  }
+
+  if (isJson) {
+    const stringMatch = inputText.match(/("optionArray"\s*:\s*")([^"]*)"/);
+    if (!stringMatch) {
+      throw new Error('Could not find optionArray in the input to add the leg to');
+    }
+    const legs = stringMatch[2].replace(/[\s,]*$/, '');
+    const body = legs ? `${legs},\n${legText},\n` : `\n${legText},\n`;
+    const text = inputText.slice(0, stringMatch.index) + stringMatch[1] + body + '"' +
+      inputText.slice(stringMatch.index + stringMatch[0].length);
+    return usesFills ? text : text.replace('{', '{"fills": true, ');
+  }
+
+  // In the line format the leg goes on a new line ahead of the first [Name] header, so it doesn't join a trade
+  // or scenario
+  const line = `${isJournal ? `${getJournalNow()} ` : ''}${legText}`;
+  const text = usesFills ? inputText : `fills: true\n${inputText}`;
+  const header = text.match(/^[ \t]*\[[^\]\n]*\][ \t]*(?:(?:#|\/\/).*)?$/m);
+  if (header) {
+    return `${text.slice(0, header.index)}${line}\n${text.slice(header.index)}`;
+  }
+  return `${text.replace(/\s*$/, '')}\n${line}\n`;
+}
+
+// Today's date and the time now, as a journal entry is dated
+function getJournalNow() {
+  const now = new Date();
+  return `${ChartModule.getTodayDate()} ${String(now.getHours()).padStart(2, '0')}:${String(now.getMinutes()).padStart(2, '0')}`;
+}
+
 // Toggle live data updates
 function toggleLiveData() {
   liveDataEnabled = !liveDataEnabled;
@@ -369,7 +1399,7 @@ function startLiveDataUpdates() {
   
   // Update every 5 seconds
   liveDataInterval = setInterval(() => {
-    if (liveDataEnabled && currentSymbol && schwabConnected) {
+    if (liveDataEnabled && currentSymbol && getMarketDataProvider().isConnected()) {
       updateCalculatorWithLiveData(currentSymbol);
     }
   }, 5000);
@@ -395,22 +1425,184 @@ function initSlider() {
   if (showAllBtn) {
     showAllBtn.addEventListener('click', showAllOptions);
   }
+
+  const expirationSelect = document.getElementById('expirationSelect');
+  if (expirationSelect) {
+    expirationSelect.addEventListener('change', selectViewExpiration);
+  }
+
+  document.getElementById('contribution-mode').addEventListener('change', selectContributionMode);
+  document.getElementById('contribution-style').addEventListener('change', selectContributionMode);
 }
 
 // Initialize slider when the DOM is loaded
 document.addEventListener('DOMContentLoaded', async () => {
   initSlider();
   
+  // Fill the login form with the saved app settings
+  const schwabConfig = loadSchwabConfig();
+  document.getElementById('client-id').value = schwabConfig.clientId || '';
+  document.getElementById('redirect-uri').value = localStorage.getItem('schwab_redirect_uri') || '';
+  document.getElementById('auth-url').value = schwabConfig.authBaseUrl || '';
+  document.getElementById('api-url').value = schwabConfig.apiBaseUrl || '';
+
+  // Restore the last symbol first, as saved tokens are checked with it
+  const symbolInput = document.getElementById('symbol-input');
+  symbolInput.value = localStorage.getItem('optioncalc_symbol') || symbolInput.value;
+
   // Initialize Schwab API
   await initializeSchwabAPI();
-  
-  // Load saved input if it exists
-  const savedInput = localStorage.getItem('savedOptionInput');
-  if (savedInput) {
-    document.getElementById('textInput').value = savedInput;
-  }
+
+  // Keep the token expiry in the status up to date
+  setInterval(updateTokenExpiryStatus, 60000);
+
+  // Clicking a chain row opens the order ticket for that contract
+  document.getElementById('options-chain').addEventListener('click', selectChainRow);
+
+  // Keep the highlights behind the input lined up with it, and let the listed problems select their text
+  const textInput = document.getElementById('textInput');
+  textInput.addEventListener('input', () => highlightInputDiagnostics([]));
+  textInput.addEventListener('scroll', syncInputHighlights);
+  document.getElementById('output').addEventListener('click', selectDiagnosticText);
+
+  // Load the expirations of the restored symbol
+  symbolInput.addEventListener('change', selectSymbol);
+  document.getElementById('chain-expirations').addEventListener('change', selectChainExpirations);
+  document.getElementById('data-provider').addEventListener('change', selectDataProvider);
+  document.getElementById('replay-file').addEventListener('change', loadReplayFiles);
+  document.getElementById('record-data').addEventListener('change', toggleRecording);
+  await selectSymbol();
 });
 
+// Escape text for use in the output HTML
+function escapeHtml(text) {
+  return String(text)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+// Mark the input's errors and warnings in the backdrop behind the text input
+function highlightInputDiagnostics(diagnostics) {
+  const text = document.getElementById('textInput').value;
+  let html = '';
+  let position = 0;
+  diagnostics.forEach(diagnostic => {
+    // Problems with no length, like an empty input, still mark one character
+    const start = Math.max(diagnostic.offset, position);
+    const end = Math.min(text.length, diagnostic.offset + Math.max(diagnostic.length, 1));
+    if (end <= start) {
+      return;
+    }
+    html += `${escapeHtml(text.slice(position, start))}<mark class="${diagnostic.severity}">${escapeHtml(text.slice(start, end))}</mark>`;
+    position = end;
+  });
+
+  // The extra newline keeps a trailing empty line as tall as it is in the input
+  document.getElementById('editor-highlights').innerHTML = `${html}${escapeHtml(text.slice(position))}\n`;
+  syncInputHighlights();
+}
+
+function syncInputHighlights() {
+  document.getElementById('editor-highlights').scrollTop = document.getElementById('textInput').scrollTop;
+}
+
+// List errors and warnings with their line and column; clicking one selects its text in the input
+function formatInputDiagnostics(diagnostics) {
+  const items = diagnostics.map(diagnostic => `
+    <li class="${diagnostic.severity}">
+      <a href="#" data-offset="${diagnostic.offset}" data-length="${diagnostic.length}">Line ${diagnostic.line}, column ${diagnostic.column}</a>
+      ${diagnostic.severity === 'warning' ? 'Warning: ' : ''}${escapeHtml(diagnostic.message)}
+    </li>`);
+  return `<ul class="input-diagnostics">${items.join('')}</ul>`;
+}
+
+function selectDiagnosticText(event) {
+  const link = event.target.closest('a[data-offset]');
+  if (!link) {
+    return;
+  }
+  event.preventDefault();
+  const textInput = document.getElementById('textInput');
+  const offset = Number(link.dataset.offset);
+  textInput.focus();
+  textInput.setSelectionRange(offset, offset + Number(link.dataset.length));
+}
+
+// The legs of each named trade, with their labels, for the output
+function formatTradeGroups(groups, optionArray) {
+  const formatLeg = leg => `  ${leg.type ? formatOptionLeg(leg) : `@${leg.costAdjustment}`}${leg.label ? `  "${leg.label}"` : ''}`;
+  const sections = groups.map(group => [
+    `[${group}]`,
+    ...optionArray.filter(leg => leg.group === group).map(formatLeg)
+  ].join('\n'));
+  const labeledLegs = optionArray.filter(leg => !leg.group && leg.label);
+  if (labeledLegs.length > 0) {
+    sections.push(['Other legs', ...labeledLegs.map(formatLeg)].join('\n'));
+  }
+  return escapeHtml(sections.join('\n\n'));
+}
+
+// One table per Greek with a row for each price of the curve and a column for each leg, then the net
+function formatLegGreeksCurve(greeksCurve) {
+  const labels = greeksCurve[0].legs.map(leg => formatOptionLeg(leg));
+  const columnWidth = Math.max(10, ...labels.map(label => label.length + 2));
+  const greeks = [['delta', 'Delta', 2], ['gamma', 'Gamma', 4], ['theta', 'Theta', 2], ['vega', 'Vega', 2]];
+
+  return greeks.map(([name, title, decimals]) => [
+    title.padEnd(10) + [...labels, 'Net'].map(label => label.padStart(columnWidth)).join(''),
+    ...greeksCurve.map(point => `${point.closingPrice}`.padEnd(10) +
+      [...point.legs, point].map(greeks => greeks[name].toFixed(decimals).padStart(columnWidth)).join(''))
+  ].join('\n')).join('\n\n');
+}
+
+// A manual cost is the whole position's cost, so it replaces the entry cost of shares and futures too
+function formatCostOverrideNote(optionArray) {
+  return optionArray.some(ChartModule.isUnderlyingPosition) ?
+    ' (manual cost override, replacing every fill including the shares and futures)' : ' (manual cost override)';
+}
+
+// A journal's entries by date with their notes, its open and closed lots, and the P&L realized so far
+function formatJournal(journal, optionArray) {
+  const formatDollars = value => `${value < 0 ? '-' : ''}$${Math.abs(value).toFixed(2)}`;
+  const formatSignedDollars = value => `${value >= 0 ? '+' : '-'}$${Math.abs(value).toFixed(2)}`;
+  const formatRows = rows => {
+    const widths = rows[0].map((cell, column) => Math.max(...rows.map(row => row[column].length)) + 2);
+    return rows.map(row => row.map((cell, column) => cell.padEnd(widths[column])).join('').trimEnd()).join('\n');
+  };
+
+  const entries = getJournalTimes(optionArray).map(time => {
+    const legs = optionArray.filter(leg => leg.time === time);
+    const notes = [...new Set(legs.map(leg => leg.note).filter(note => note))];
+    return [
+      time,
+      legs.map(leg => (leg.type ? `${formatOptionLeg(leg)}@${leg.fillPrice}` : `@${leg.costAdjustment}`)).join(', '),
+      notes.join('; ')
+    ];
+  });
+  const openLots = journal.openLots.map(lot => [
+    `${lot.qty}${lot.key}`,
+    `@ ${lot.fillPrice.toFixed(2)}`,
+    `opened ${lot.time}`,
+    formatDollars(lot.costBasis)
+  ]);
+  const closedLots = journal.closedLots.map(lot => [
+    `${lot.qty}${lot.key}`,
+    `@ ${lot.openPrice.toFixed(2)} -> ${lot.closePrice.toFixed(2)}`,
+    `${lot.openTime} -> ${lot.closeTime}`,
+    formatSignedDollars(lot.realizedPnL)
+  ]);
+
+  const sections = [`Entries:\n${formatRows(entries)}`];
+  sections.push(openLots.length > 0 ? `Open lots (first in, first out):\n${formatRows(openLots)}` : 'No open lots');
+  if (closedLots.length > 0) {
+    sections.push(`Closed lots:\n${formatRows(closedLots)}`);
+  }
+  sections.push(`Realized P&L: ${formatSignedDollars(journal.realizedPnL)}`);
+  return escapeHtml(sections.join('\n\n'));
+}
+
 // Process input from the text input field
 function processInput() {
   const inputText = document.getElementById('textInput').value;
@@ -419,221 +1611,52 @@ function processInput() {
   // Clear previous output
   outputDiv.innerHTML = '';
   
-  // Store the input in local storage
-  localStorage.setItem('savedOptionInput', inputText);
+  // Save the input as the latest revision of the open portfolio
+  savePortfolioInput(inputText);
 
   try {
-    // Clean the input text by removing newlines and other whitespace that could break JSON parsing
-    const cleanInputText = inputText
-      .replace(/\r\n|\r|\n/g, '')  // Remove all newline characters
-      .replace(/\s+/g, ' ')      // Replace multiple spaces with a single space
-      .trim();                    // Trim leading/trailing spaces
-      
-    const processedJSON = JSON.parse(cleanInputText);
-    console.log(processedJSON);
-    
-    // Process options array, combining quantities for same type and strike
-    const optionMap = new Map();
-    
-    // Helper function to process a single option string
-    const processOptionString = (str) => {
-      // Check for standalone cost adjustment
-      const costMatch = str.match(/^@([+-]?\d+(?:\.\d+)?)$/i);
-      if (costMatch) {
-        return {
-          qty: 0,
-          type: null,
-          strike: null,
-          costAdjustment: parseFloat(costMatch[1])
-        };
-      }
-      
-      // Check for option with optional cost adjustment
-      const match = str.match(/^([+-]?\d+)([cp])(\d+)(?:@([+-]?\d+(?:\.\d+)?))?$/i);
-      if (!match) {
-        throw new Error(`Invalid option format: ${str}. Expected format like 1c100, -1p110, 1c100@2000, or @2000`);
-      }
-      return {
-        qty: parseInt(match[1], 10),
-        type: match[2].toLowerCase(),
-        strike: parseFloat(match[3]),
-        costAdjustment: match[4] ? parseFloat(match[4]) : 0
-      };
-    };
-    
-    // Process the input based on its type
-    let totalCostAdjustment = 0;
-    
-    if (typeof processedJSON.optionArray === 'string') {
-      // Handle comma-separated string format
-      processedJSON.optionArray
-        .split(',')
-        .map(optionStr => optionStr.trim())
-        .filter(optionStr => optionStr)
-        .forEach(optionStr => {
-          const option = processOptionString(optionStr);
-          totalCostAdjustment += option.costAdjustment;
-          
-          // Only add to optionMap if it's a real option (not standalone cost adjustment)
-          if (option.qty !== 0 && option.type && option.strike !== null) {
-            const key = `${option.type}${option.strike}`;
-            if (optionMap.has(key)) {
-              optionMap.get(key).qty += option.qty;
-            } else {
-              optionMap.set(key, { ...option });
-            }
-          }
-        });
-    } else if (Array.isArray(processedJSON.optionArray)) {
-      // Handle array format (strings or objects)
-      processedJSON.optionArray.forEach(option => {
-        let processedOption;
-        
-        if (typeof option === 'string') {
-          processedOption = processOptionString(option.trim());
-          totalCostAdjustment += processedOption.costAdjustment;
-        } else if (typeof option === 'object' && option !== null) {
-          processedOption = {
-            qty: typeof option.qty === 'string' ? 
-              parseInt(option.qty.trim(), 10) : (option.qty || 1),
-            type: option.type?.toString()?.toLowerCase()?.trim(),
-            strike: typeof option.strike === 'string' ? 
-              parseFloat(option.strike.trim()) : option.strike,
-            costAdjustment: option.costAdjustment ? parseFloat(option.costAdjustment) : 0
-          };
-          totalCostAdjustment += processedOption.costAdjustment;
-          
-          // Validate the processed option (skip validation for standalone cost adjustments)
-          if (processedOption.type && (!['c', 'p'].includes(processedOption.type) || 
-              isNaN(processedOption.strike))) {
-            throw new Error(`Invalid option object: ${JSON.stringify(option)}`);
-          }
-        } else {
-          throw new Error(`Invalid option format: ${JSON.stringify(option)}`);
-        }
-        
-        // Only add to optionMap if it's a real option (not standalone cost adjustment)
-        if (processedOption.qty !== 0 && processedOption.type && processedOption.strike !== null) {
-          const key = `${processedOption.type}${processedOption.strike}`;
-          if (optionMap.has(key)) {
-            optionMap.get(key).qty += processedOption.qty;
-          } else {
-            optionMap.set(key, processedOption);
-          }
-        }
-      });
-    } else {
-      throw new Error('optionArray must be either a string or an array');
-    }
-    
-    // Convert map to array and filter out zero quantities
-    const combinedOptions = Array.from(optionMap.values())
-      .filter(opt => opt.qty !== 0);
-      
-    if (combinedOptions.length === 0) {
-      throw new Error('No valid options provided in optionArray');
-    }
+    const parsed = ChartModule.parsePositionInput(inputText);
+    console.log(parsed.input);
+    highlightInputDiagnostics(parsed.diagnostics);
+
+    fullContractMultiplier = parsed.multiplier;
+    fullOptionArray = parsed.optionArray; // The original uncombined options in the order they were entered
+    const combinedOptions = parsed.positions;
+    fullScenarios = parsed.scenarios;
+    const { hasCostOverride, totalFillCost } = parsed;
 
     // Store the combined options for chart rendering
-    combinedOptionMap = new Map(combinedOptions.map(opt => [`${opt.type}${opt.strike}`, { ...opt }]));
-    
-    // Store the original uncombined options in the order they were entered
-    fullOptionArray = [];
-    if (typeof processedJSON.optionArray === 'string') {
-      fullOptionArray = processedJSON.optionArray
-        .split(',')
-        .map(optionStr => optionStr.trim())
-        .filter(optionStr => optionStr)
-        .map(optionStr => processOptionString(optionStr));
-    } else if (Array.isArray(processedJSON.optionArray)) {
-      processedJSON.optionArray.forEach(option => {
-        if (typeof option === 'string') {
-          fullOptionArray.push(processOptionString(option.trim()));
-        } else if (typeof option === 'object' && option !== null) {
-          fullOptionArray.push({
-            qty: typeof option.qty === 'string' ? 
-              parseInt(option.qty.trim(), 10) : (option.qty || 1),
-            type: option.type?.toString()?.toLowerCase()?.trim(),
-            strike: typeof option.strike === 'string' ? 
-              parseFloat(option.strike.trim()) : option.strike
-          });
-        }
-      });
-    }
-    
-    // Process tempOptionArray if it exists
-    let tempOptionArray = [];
-    if (processedJSON.tempOptionArray) {
-      if (typeof processedJSON.tempOptionArray === 'string') {
-        tempOptionArray = processedJSON.tempOptionArray
-          .split(',')
-          .map(optionStr => optionStr.trim())
-          .filter(optionStr => optionStr)
-          .map(optionStr => processOptionString(optionStr));
-      } else if (Array.isArray(processedJSON.tempOptionArray)) {
-        processedJSON.tempOptionArray.forEach(option => {
-          if (typeof option === 'string') {
-            tempOptionArray.push(processOptionString(option.trim()));
-          } else if (typeof option === 'object' && option !== null) {
-            tempOptionArray.push({
-              qty: typeof option.qty === 'string' ? 
-                parseInt(option.qty.trim(), 10) : (option.qty || 1),
-              type: option.type?.toString()?.toLowerCase()?.trim(),
-              strike: typeof option.strike === 'string' ? 
-                parseFloat(option.strike.trim()) : option.strike,
-              costAdjustment: option.costAdjustment ? parseFloat(option.costAdjustment) : 0
-            });
-          }
-        });
-      }
-    }
-    
-    fullCost = (processedJSON.cost || 0) + totalCostAdjustment;
-    const rangeStr = processedJSON.range;
-    if (rangeStr != null && typeof rangeStr !== 'string') {
-      throw new Error('range must be a string like "500-1000"');
-    }
-    if (typeof rangeStr === 'string' && rangeStr.trim() !== '') {
-      const rangeMatch = rangeStr.match(/^\s*(-?\d+(?:\.\d+)?)\s*-\s*(-?\d+(?:\.\d+)?)\s*$/);
-      if (!rangeMatch) {
-        throw new Error('Invalid range format. Expected "minStrike-maxStrike" (example: "500-1000")');
-      }
-      fullMinStrike = parseFloat(rangeMatch[1]);
-      fullMaxStrike = parseFloat(rangeMatch[2]);
-      if (!Number.isFinite(fullMinStrike) || !Number.isFinite(fullMaxStrike)) {
-        throw new Error('Invalid range values. minStrike and maxStrike must be numbers.');
-      }
-      if (fullMinStrike >= fullMaxStrike) {
-        throw new Error('Invalid range values. minStrike must be less than maxStrike.');
-      }
-    } else {
-      const strikes = [];
-      combinedOptions.forEach(opt => strikes.push(opt.strike));
-      tempOptionArray.forEach(opt => strikes.push(opt.strike));
+    combinedOptionMap = new Map(combinedOptions.map(opt => [getOptionKey(opt), { ...opt }]));
 
-      const finiteStrikes = strikes.filter(s => Number.isFinite(s));
-      if (finiteStrikes.length === 0) {
-        throw new Error('Unable to infer range: no valid strikes found in optionArray/tempOptionArray');
-      }
+    fullCost = parsed.cost;
+    fullHasCostOverride = parsed.hasCostOverride;
+    fullJournal = parsed.journal;
+    fullMinStrike = parsed.minPrice;
+    fullMaxStrike = parsed.maxPrice;
+    fullStrikeIncrement = parsed.priceStep;
+    fullViewDomain = null; // A new input is drawn over its whole range
+    fullTradeGroups = parsed.groups;
+    fullSelectedPrice = null;
+    fullPricingModel = parsed.pricingModel;
+    updateExpirationPicker(combinedOptions);
 
-      const minStrikeProvided = Math.min(...finiteStrikes);
-      const maxStrikeProvided = Math.max(...finiteStrikes);
-      fullMinStrike = minStrikeProvided - 50;
-      fullMaxStrike = maxStrikeProvided + 50;
-    }
-    fullStrikeIncrement = processedJSON.inc || 10;
+    fullUnderlyingPrice = parsed.underlyingPrice;
+    fullGreekSeries = parsed.greekSeries;
+    fullShowDistribution = parsed.showDistribution;
+    fullStressPct = parsed.stressPct;
 
     // Initialize the slider
     const sliderContainer = document.getElementById('sliderContainer');
     const slider = document.getElementById('optionRange');
     
-    if (fullOptionArray.length > 1) {
-      // Show the slider if there are multiple options
+    const sliderSteps = getSliderSteps();
+    if (sliderSteps > 1) {
+      // Show the slider if there are multiple options, or a journal has more than one date
       sliderContainer.style.display = 'block';
       slider.min = 1;
-      slider.max = fullOptionArray.length;
-      slider.value = fullOptionArray.length; // Default to showing all options
-      document.getElementById('optionCount').textContent = fullOptionArray.length;
+      slider.max = sliderSteps;
+      slider.value = sliderSteps; // Default to showing all options
+      updateSliderLabel(sliderSteps, fullOptionArray);
     } else {
       // Hide the slider if there's only one option
       sliderContainer.style.display = 'none';
@@ -641,58 +1664,47 @@ function processInput() {
     
     // Calculate and display the portfolio values with all options combined
     const data = ChartModule.calculatePortfolioValueAtExpiration(
-      combinedOptions,
+      withLegVolatility(combinedOptions),
       fullMinStrike,
       fullMaxStrike,
-      fullStrikeIncrement
+      fullStrikeIncrement,
+      getExpirationModel()
     );
     
-    // Calculate the combined portfolio values (optionArray + tempOptionArray)
-    let combinedData = [];
-    if (tempOptionArray.length > 0) {
-      // Create a map of all options (from both arrays)
-      const allOptionsMap = new Map();
-      
-      // First add all options from the main optionArray
-      combinedOptions.forEach(option => {
-        const key = `${option.type}${option.strike}`;
-        allOptionsMap.set(key, { ...option });
-      });
-      
-      // Then add or combine with options from tempOptionArray
-      tempOptionArray.forEach(option => {
-        const key = `${option.type}${option.strike}`;
-        if (allOptionsMap.has(key)) {
-          allOptionsMap.get(key).qty += option.qty;
-        } else {
-          allOptionsMap.set(key, { ...option });
-        }
-      });
-      
-      const allOptions = Array.from(allOptionsMap.values());
-      
-      // Calculate portfolio values for the combined options
-      combinedData = ChartModule.calculatePortfolioValueAtExpiration(
-        allOptions,
-        fullMinStrike,
-        fullMaxStrike,
-        fullStrikeIncrement
-      );
-    }
+    // Calculate the portfolio values with each scenario's legs added
+    const scenarioCurves = buildScenarioCurves(combinedOptions);
+    updateScenarioToggles();
     
-    // Draw the chart with both datasets if there's combined data, otherwise just the main data
-    if (combinedData.length > 0) {
-      ChartModule.drawChart(data, fullCost, fullOptionArray, combinedData);
-    } else {
-      ChartModule.drawChart(data, fullCost, fullOptionArray);
-    }
+    // Calculate the theoretical value curves before expiration (T+N)
+    const theoreticalCurves = buildTheoreticalCurves(combinedOptions);
+    
+    const greekSeries = buildGreekSeries(combinedOptions);
+    const distribution = buildDistribution(combinedOptions);
+    const payoffSummary = buildPayoffSummary(combinedOptions);
+    const marginEstimate = buildMarginEstimate(combinedOptions, parsed.optionsCost);
+    
+    // Re-mark the new position against the live chain, if one has been loaded
+    updateLiveMarks();
+    const liveMarker = buildLiveMarker();
+    
+    // Draw the chart with the scenarios that are toggled on
+    ChartModule.drawChart(data, fullCost, fullOptionArray, [], {
+      scenarios: scenarioCurves.filter(scenario => scenario.visible),
+      theoreticalCurves,
+      greekSeries,
+      distribution,
+      payoffSummary,
+      ...buildContributionChart(fullOptionArray),
+      ...buildChartInteraction(fullOptionArray),
+      ...liveMarker
+    });
     
     // Display the processed output
-    const formatCurve = (curve) => curve
+    const formatCurve = (curve, valueKey = 'totalIntrinsicValue') => curve
       .map(p => {
-        const diff = p.totalIntrinsicValue - fullCost;
+        const diff = p[valueKey] - fullCost;
         const diffStr = diff >= 0 ? `+${diff.toFixed(2)}` : diff.toFixed(2);
-        return `${p.closingPrice}: ${p.totalIntrinsicValue} (${diffStr})`;
+        return `${p.closingPrice}: ${p[valueKey]} (${diffStr})`;
       })
       .join('\n');
 
@@ -702,14 +1714,49 @@ function processInput() {
       .map(p => `${p.description}: $${p.closingPrice.toFixed(2)} (Value: $${p.totalIntrinsicValue.toFixed(2)})`)
       .join('\n');
 
-    let outputStr = `
+    const frontExpiration = ChartModule.getFrontExpiration(combinedOptions);
+    // Cost basis of every leg entered with a fill price
+    const filledLegs = fullOptionArray.filter(option => option.costBasis != null);
+    const formatCostBasis = (legs) => {
+      const formatDollars = (value) => `${value < 0 ? '-' : ''}$${Math.abs(value).toFixed(2)}`;
+      const rows = legs.map(leg => [
+        formatOptionLeg(leg),
+        `@ ${leg.fillPrice.toFixed(2)} x ${ChartModule.getPositionMultiplier(leg)}`,
+        formatDollars(leg.costBasis)
+      ]);
+      rows.push(['Fills total', '', formatDollars(totalFillCost)]);
+      const widths = [0, 1].map(column => Math.max(...rows.map(row => row[column].length)) + 2);
+      return rows
+        .map(row => row[0].padEnd(widths[0]) + row[1].padEnd(widths[1]) + row[2].padStart(12))
+        .join('\n');
+    };
+
+    let outputStr = parsed.diagnostics.length > 0 ? `
+      <strong>Warnings:</strong>
+      ${formatInputDiagnostics(parsed.diagnostics)}
+    ` : '';
+
+    outputStr += `
       <strong>Processed Output:</strong><br>
       <strong>Position Count:</strong> ${fullOptionArray.length}<br>
-      <strong>Total Cost:</strong> $${fullCost.toFixed(2)}<br><br>
+      <strong>${fullJournal ? 'Cost of Open Lots' : 'Total Cost'}:</strong> $${fullCost.toFixed(2)}${hasCostOverride && filledLegs.length > 0 ? formatCostOverrideNote(fullOptionArray) : ''}<br>${fullJournal ? `
+      <strong>Realized P&amp;L:</strong> ${fullJournal.realizedPnL >= 0 ? '+' : '-'}$${Math.abs(fullJournal.realizedPnL).toFixed(2)}<br>` : ''}
+      ${formatMarginEstimate(marginEstimate, payoffSummary)}<br>
+      ${filledLegs.length > 0 ? `<strong>Cost Basis per Leg:</strong><br><pre>${formatCostBasis(filledLegs)}</pre>` : ''}${fullJournal ? `
+      <strong>Journal:</strong><br><pre>${formatJournal(fullJournal, fullOptionArray)}</pre>` : ''}
+      ${frontExpiration ? `<strong>Evaluated At:</strong> ${fullViewExpiration || `${frontExpiration} (front expiration)`}<br><br>` : ''}
+      ${parsed.groups.length > 0 || fullOptionArray.some(leg => leg.label) ? `<strong>Trades:</strong><br><pre>${formatTradeGroups(parsed.groups, fullOptionArray)}</pre>` : ''}
       <strong>Value Curve (optionArray):</strong><br>
       <pre>${formatCurve(data)}</pre>
     `;
 
+    if (payoffSummary) {
+      outputStr += `
+        <strong>Expiration Summary (exact):</strong><br>
+        <pre>${formatPayoffSummary(payoffSummary)}</pre>
+      `;
+    }
+
     if (keyPoints.length > 0) {
       outputStr += `
         <strong>Key Points on Curve:</strong><br>
@@ -717,43 +1764,113 @@ function processInput() {
       `;
     }
 
-    if (combinedData.length > 0) {
+    if (scenarioCurves.length > 0) {
       outputStr += `
-        <strong>Value Curve (optionArray + tempOptionArray):</strong><br>
-        <pre>${formatCurve(combinedData)}</pre>
+        <strong>Scenario Comparison (exact, at expiration):</strong><br>
+        <pre>${escapeHtml(formatScenarioComparison(combinedOptions))}</pre>
       `;
-      
-      // Find key points on combined curve as well
-      const combinedKeyPoints = ChartModule.findKeyPointsOnCurve(combinedData, fullCost);
-      if (combinedKeyPoints.length > 0) {
+    }
+
+    scenarioCurves.forEach(scenario => {
+      outputStr += `
+        <strong>Value Curve (with ${escapeHtml(scenario.name)}):</strong><br>
+        <pre>${formatCurve(scenario.data)}</pre>
+      `;
+
+      // Find key points on each scenario's curve as well
+      const scenarioKeyPoints = ChartModule.findKeyPointsOnCurve(scenario.data, fullCost);
+      if (scenarioKeyPoints.length > 0) {
         outputStr += `
-          <strong>Key Points on Combined Curve:</strong><br>
-          <pre>${formatKeyPoints(combinedKeyPoints)}</pre>
+          <strong>Key Points with ${escapeHtml(scenario.name)}:</strong><br>
+          <pre>${formatKeyPoints(scenarioKeyPoints)}</pre>
         `;
       }
+    });
+
+    const distributionModel = getDistributionModel(combinedOptions);
+    if (distributionModel) {
+      const probability = ChartModule.calculateProbabilityMetrics(data, fullCost, distributionModel);
+      const formatPercent = (value) => `${(value * 100).toFixed(1)}%`;
+      const formatSignedDollars = (value) => `${value >= 0 ? '+' : '-'}$${Math.abs(value).toFixed(2)}`;
+      const probabilityRows = [
+        `Probability of profit:      ${formatPercent(probability.probabilityOfProfit)}`,
+        `Probability of max profit:  ${probability.maxProfit === Infinity ? 'n/a (unlimited profit)' : formatPercent(probability.probabilityOfMaxProfit)}`,
+        `Expected P&L:               ${formatSignedDollars(probability.expectedValue)}`,
+        ...probability.breakEvens.map(breakEven =>
+          `Touch $${breakEven.closingPrice.toFixed(2)} (break-even): ${formatPercent(breakEven.touchProbability)}`)
+      ];
+
+      outputStr += `
+        <strong>Probabilities (lognormal, IV ${formatPercent(distributionModel.volatility)}, ${Math.round(distributionModel.yearsToExpiry * 365)} days from $${distributionModel.underlyingPrice.toFixed(2)}):</strong><br>
+        <pre>${probabilityRows.join('\n')}</pre>
+      `;
     }
 
+    if (fullPricingModel) {
+      const referencePrice = getReferencePrice();
+      const pricedOptions = withLegVolatility(combinedOptions);
+      const positionGreeks = ChartModule.calculatePositionGreeks(pricedOptions, referencePrice, getPricingModelAt(0));
+      const greeksCurve = greekSeries ? greekSeries.data : ChartModule.calculateGreeksCurve(
+        pricedOptions,
+        fullMinStrike,
+        fullMaxStrike,
+        fullStrikeIncrement,
+        getPricingModelAt(0)
+      );
+
+      const labelWidth = Math.max(12, ...positionGreeks.legs.map(leg => formatOptionLeg(leg).length + 2));
+      const formatGreeksRow = (label, greeks) => [
+        label.padEnd(labelWidth),
+        greeks.delta.toFixed(2).padStart(10),
+        greeks.gamma.toFixed(4).padStart(10),
+        greeks.theta.toFixed(2).padStart(10),
+        greeks.vega.toFixed(2).padStart(10)
+      ].join('');
+      const greeksHeader = ''.padEnd(labelWidth) + ['Delta', 'Gamma', 'Theta', 'Vega'].map(name => name.padStart(10)).join('');
+      const legRows = positionGreeks.legs
+        .map(leg => formatGreeksRow(formatOptionLeg(leg), leg));
+
+      outputStr += `
+        <strong>Greeks at $${referencePrice.toFixed(2)}:</strong><br>
+        <pre>${[greeksHeader, ...legRows, formatGreeksRow('Net', positionGreeks.total)].join('\n')}</pre>
+        <strong>Net Greeks Across Range:</strong><br>
+        <pre>${[greeksHeader, ...greeksCurve.map(point => formatGreeksRow(`${point.closingPrice}`, point))].join('\n')}</pre>
+        <strong>Greeks per Leg Across Range:</strong><br>
+        <pre>${formatLegGreeksCurve(greeksCurve)}</pre>
+      `;
+    }
+
+    theoreticalCurves.forEach(curve => {
+      outputStr += `
+        <strong>Theoretical Value Curve (${curve.label}):</strong><br>
+        <pre>${formatCurve(curve.data, 'totalTheoreticalValue')}</pre>
+      `;
+    });
+
     outputDiv.innerHTML = outputStr;
     
   } catch (error) {
     console.error('Error processing input:', error);
+    const diagnostics = error.diagnostics || [];
+    highlightInputDiagnostics(diagnostics);
     outputDiv.innerHTML = `
-      <strong>Error:</strong> ${error.message}<br><br>
-      <strong>Expected format:</strong><br>
-      <pre>{
-  "cost": 20000,
-  "range": "500-1000",
-  "inc": 10,
-  "optionArray": "
-1c620,-1c820,@2000,
-1c620,-1c800,@-1000,
-1p960,-1p800,
-",
-"tempOptionArray": "
-1c650,-1c750,
-"
-}</pre>
-      Or as a comma-separated string in the optionArray: <code>"1c22720,1c22740,1p22860,1p22820"</code>
+      ${diagnostics.length > 0 ? `<strong>Errors:</strong>${formatInputDiagnostics(diagnostics)}` : `<strong>Error:</strong> ${escapeHtml(error.message)}<br><br>`}
+      <strong>Expected format:</strong> one or more legs per line, with optional settings, comments and named trades<br>
+      <pre># SPX spreads
+iv: 0.2
+dte: 30
+range: 500-1000
+
+[Call spread]
+1c620 "long call", -1c820
+@2000
+
+[Put spread]
+1p960, -1p800
+
+[scenario: Roll up]
+-1c820, 1c850</pre>
+      The JSON format still works, e.g. <code>{ "cost": 20000, "optionArray": "1c22720,1c22740,1p22860,1p22820" }</code>
     `;
   }
 }
@@ -0,0 +1,308 @@
+// Portfolio library - Named positions saved in this browser, each with the history of its input text.
+//
+// The library is kept in localStorage as
+//   { "activeId": "...", "portfolios": [{ "id", "name", "createdAt", "updatedAt", "revisions": [{ "savedAt", "text" }] }] }
+// with the newest revision last. Every processed input that differs from the last revision is saved as a new one.
+
+const PORTFOLIOS_KEY = 'optioncalc_portfolios';
+const PORTFOLIO_EXPORT_FORMAT = 'optioncalc-portfolios';
+const MAX_PORTFOLIO_REVISIONS = 50;
+
+function createPortfolioId() {
+  return `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 8)}`;
+}
+
+function createPortfolio(name, text = '') {
+  const now = new Date().toISOString();
+  return {
+    id: createPortfolioId(),
+    name,
+    createdAt: now,
+    updatedAt: now,
+    revisions: text ? [{ savedAt: now, text }] : []
+  };
+}
+
+// Check a portfolio read from storage or an imported file, keeping only well-formed revisions
+function normalizePortfolio(portfolio) {
+  if (!portfolio || typeof portfolio.name !== 'string' || !portfolio.name.trim()) {
+    throw new Error('Each portfolio needs a name');
+  }
+  const revisions = Array.isArray(portfolio.revisions) ?
+    portfolio.revisions.filter(revision => revision && typeof revision.text === 'string') : [];
+  const createdAt = portfolio.createdAt || (revisions[0] && revisions[0].savedAt) || new Date().toISOString();
+  return {
+    id: typeof portfolio.id === 'string' ? portfolio.id : createPortfolioId(),
+    name: portfolio.name.trim(),
+    createdAt,
+    updatedAt: portfolio.updatedAt || createdAt,
+    revisions: revisions.map(revision => ({ savedAt: revision.savedAt || createdAt, text: revision.text }))
+  };
+}
+
+// Keep a copy of stored portfolios that could not all be read, under a key of its own, before anything is saved over them
+function backUpPortfolioStorage(stored) {
+  const backupKey = `${PORTFOLIOS_KEY}_backup_${new Date().toISOString()}`;
+  localStorage.setItem(backupKey, stored);
+  return backupKey;
+}
+
+// The saved library, moving the single input saved by earlier versions into a first portfolio.
+// Portfolios that can't be read are skipped, and the stored library is backed up before it is rewritten.
+function loadPortfolioLibrary() {
+  const stored = localStorage.getItem(PORTFOLIOS_KEY);
+  let library = null;
+  let skipped = 0;
+  if (stored) {
+    try {
+      const data = JSON.parse(stored);
+      if (!data || !Array.isArray(data.portfolios)) {
+        throw new Error('The saved library has no list of portfolios');
+      }
+      const portfolios = [];
+      data.portfolios.forEach(portfolio => {
+        try {
+          portfolios.push(normalizePortfolio(portfolio));
+        } catch (error) {
+          console.error('Skipping a saved portfolio:', error);
+          skipped++;
+        }
+      });
+      library = { activeId: data.activeId, portfolios };
+    } catch (error) {
+      console.error('Error loading saved portfolios:', error);
+    }
+
+    if (!library || skipped > 0) {
+      const backupKey = backUpPortfolioStorage(stored);
+      alert(`${library ? `${skipped} saved portfolio${skipped === 1 ? '' : 's'} could not be read` : 'The saved portfolios could not be read'}; ` +
+        `a copy was kept in this browser's localStorage under "${backupKey}"`);
+      if (library && library.portfolios.length > 0) {
+        savePortfolioLibrary(library);
+      }
+    }
+  }
+
+  if (!library || library.portfolios.length === 0) {
+    const savedInput = localStorage.getItem('savedOptionInput');
+    const portfolio = createPortfolio('My portfolio', savedInput || '');
+    library = { activeId: portfolio.id, portfolios: [portfolio] };
+    savePortfolioLibrary(library);
+    localStorage.removeItem('savedOptionInput');
+  }
+  if (!library.portfolios.some(portfolio => portfolio.id === library.activeId)) {
+    library.activeId = library.portfolios[0].id;
+  }
+  return library;
+}
+
+function savePortfolioLibrary(library) {
+  localStorage.setItem(PORTFOLIOS_KEY, JSON.stringify(library));
+}
+
+function getActivePortfolio(library) {
+  return library.portfolios.find(portfolio => portfolio.id === library.activeId);
+}
+
+function getPortfolioText(portfolio) {
+  return portfolio.revisions.length > 0 ? portfolio.revisions[portfolio.revisions.length - 1].text : '';
+}
+
+// Save the processed input as a new revision of the active portfolio, unless it hasn't changed
+function savePortfolioInput(text) {
+  const library = loadPortfolioLibrary();
+  const portfolio = getActivePortfolio(library);
+  if (getPortfolioText(portfolio) === text) {
+    return;
+  }
+
+  const now = new Date().toISOString();
+  portfolio.revisions.push({ savedAt: now, text });
+  portfolio.revisions = portfolio.revisions.slice(-MAX_PORTFOLIO_REVISIONS);
+  portfolio.updatedAt = now;
+  savePortfolioLibrary(library);
+  updatePortfolioPicker();
+}
+
+// Fill the portfolio picker and the active portfolio's revision history
+function updatePortfolioPicker() {
+  const library = loadPortfolioLibrary();
+  const active = getActivePortfolio(library);
+  const formatTime = time => new Date(time).toLocaleString();
+
+  // Build the options as elements, as portfolio names can contain any text
+  const select = document.getElementById('portfolio-select');
+  select.innerHTML = '';
+  library.portfolios.forEach(portfolio => select.appendChild(new Option(portfolio.name, portfolio.id)));
+  select.value = active.id;
+
+  const history = document.getElementById('portfolio-history');
+  history.innerHTML = '';
+  active.revisions
+    .map((revision, index) => new Option(`${formatTime(revision.savedAt)}${index === active.revisions.length - 1 ? ' (current)' : ''}`, index))
+    .reverse()
+    .forEach(option => history.appendChild(option));
+  document.getElementById('portfolio-restore').disabled = active.revisions.length < 2;
+
+  document.getElementById('portfolio-info').textContent =
+    `Created ${formatTime(active.createdAt)}, updated ${formatTime(active.updatedAt)}, ${active.revisions.length} revision${active.revisions.length === 1 ? '' : 's'}`;
+}
+
+// Show a portfolio's latest input and draw it
+function openPortfolio(library, id) {
+  library.activeId = id;
+  savePortfolioLibrary(library);
+  updatePortfolioPicker();
+
+  const text = getPortfolioText(getActivePortfolio(library));
+  document.getElementById('textInput').value = text;
+  if (text.trim()) {
+    processInput();
+  } else {
+    highlightInputDiagnostics([]);
+    document.getElementById('output').innerHTML = '';
+  }
+}
+
+function selectPortfolio() {
+  openPortfolio(loadPortfolioLibrary(), document.getElementById('portfolio-select').value);
+}
+
+function newPortfolio() {
+  const name = (prompt('Name for the new portfolio:') || '').trim();
+  if (!name) {
+    return;
+  }
+  const library = loadPortfolioLibrary();
+  const portfolio = createPortfolio(name);
+  library.portfolios.push(portfolio);
+  openPortfolio(library, portfolio.id);
+}
+
+function renamePortfolio() {
+  const library = loadPortfolioLibrary();
+  const portfolio = getActivePortfolio(library);
+  const name = (prompt('New name for the portfolio:', portfolio.name) || '').trim();
+  if (!name || name === portfolio.name) {
+    return;
+  }
+  portfolio.name = name;
+  portfolio.updatedAt = new Date().toISOString();
+  savePortfolioLibrary(library);
+  updatePortfolioPicker();
+}
+
+// Copy the active portfolio's current input, without its history, into a new portfolio
+function duplicatePortfolio() {
+  const library = loadPortfolioLibrary();
+  const source = getActivePortfolio(library);
+  const portfolio = createPortfolio(`${source.name} (copy)`, getPortfolioText(source));
+  library.portfolios.splice(library.portfolios.indexOf(source) + 1, 0, portfolio);
+  openPortfolio(library, portfolio.id);
+}
+
+function deletePortfolio() {
+  const library = loadPortfolioLibrary();
+  const portfolio = getActivePortfolio(library);
+  if (!confirm(`Delete "${portfolio.name}" and its history?`)) {
+    return;
+  }
+
+  const index = library.portfolios.indexOf(portfolio);
+  library.portfolios.splice(index, 1);
+  if (library.portfolios.length === 0) {
+    library.portfolios.push(createPortfolio('My portfolio'));
+  }
+  openPortfolio(library, library.portfolios[Math.min(index, library.portfolios.length - 1)].id);
+}
+
+// Put an earlier revision back in the input; processing it saves it as the newest revision
+function restorePortfolioRevision() {
+  const portfolio = getActivePortfolio(loadPortfolioLibrary());
+  const revision = portfolio.revisions[Number(document.getElementById('portfolio-history').value)];
+  if (!revision) {
+    return;
+  }
+  document.getElementById('textInput').value = revision.text;
+  processInput();
+}
+
+// Download every portfolio, with its history, as a JSON file
+function exportPortfolios() {
+  const library = loadPortfolioLibrary();
+  const file = {
+    format: PORTFOLIO_EXPORT_FORMAT,
+    version: 1,
+    exportedAt: new Date().toISOString(),
+    portfolios: library.portfolios
+  };
+
+  const blob = new Blob([JSON.stringify(file, null, 2)], { type: 'application/json' });
+  const link = document.createElement('a');
+  link.href = URL.createObjectURL(blob);
+  link.download = `portfolios-${file.exportedAt.slice(0, 19).replace(/:/g, '-')}.json`;
+  link.click();
+  URL.revokeObjectURL(link.href);
+}
+
+// Read portfolios from exported files. A plain input file becomes a portfolio named after the file.
+async function readPortfolioFiles(files) {
+  const portfolios = [];
+  for (const file of Array.from(files)) {
+    const text = await file.text();
+    let data = null;
+    try {
+      data = JSON.parse(text);
+    } catch (error) {
+      data = null;
+    }
+
+    if (data && data.format === PORTFOLIO_EXPORT_FORMAT) {
+      if (!Array.isArray(data.portfolios)) {
+        throw new Error(`${file.name} has no portfolios`);
+      }
+      portfolios.push(...data.portfolios.map(normalizePortfolio));
+    } else {
+      portfolios.push(createPortfolio(file.name.replace(/\.[^.]+$/, ''), text));
+    }
+  }
+  return portfolios;
+}
+
+// Add imported portfolios to the library as new ones, so they never replace what is already saved
+async function importPortfolios(event) {
+  let imported;
+  try {
+    imported = await readPortfolioFiles(event.target.files);
+  } catch (error) {
+    console.error('Error importing portfolios:', error);
+    alert(`Could not import portfolios: ${error.message}`);
+    return;
+  } finally {
+    event.target.value = '';
+  }
+  if (imported.length === 0) {
+    return;
+  }
+
+  const library = loadPortfolioLibrary();
+  imported.forEach(portfolio => {
+    let name = portfolio.name;
+    for (let copy = 2; library.portfolios.some(existing => existing.name === name); copy++) {
+      name = `${portfolio.name} (${copy})`;
+    }
+    library.portfolios.push({ ...portfolio, id: createPortfolioId(), name });
+  });
+  openPortfolio(library, library.portfolios[library.portfolios.length - imported.length].id);
+}
+
+function initPortfolioLibrary() {
+  const library = loadPortfolioLibrary();
+  updatePortfolioPicker();
+  document.getElementById('textInput').value = getPortfolioText(getActivePortfolio(library));
+
+  document.getElementById('portfolio-select').addEventListener('change', selectPortfolio);
+  document.getElementById('portfolio-import').addEventListener('change', importPortfolios);
+}
+
+document.addEventListener('DOMContentLoaded', initPortfolioLibrary);
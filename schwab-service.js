@@ -0,0 +1,216 @@
+// Schwab API client - OAuth2 login, token refresh and the market data calls used by the live-data panel.
+//
+// The login is the authorization-code flow with PKCE: the page proves it started the login with a one-time code
+// verifier instead of an app secret, so no secret is kept in the browser or sent from page JS. If the app has to
+// authenticate with its secret, point the OAuth URL at a token-exchange backend that adds it to the token requests.
+//
+// Loaded as a browser script; under Node it is exported so it can be tested against tools/mock-oauth-server.js.
+
+// Browser-compatible Schwab API integration
+class SchwabBrowserService {
+  constructor(config = {}) {
+    this.isAuthenticated = false;
+    this.accessToken = null;
+    this.refreshToken = null;
+    this.accessTokenExpiresAt = null; // Epoch milliseconds, or null when unknown
+    this.refreshPromise = null; // Shared by concurrent calls that all hit an expired token
+    this.onTokensChanged = null; // Called with the service after tokens are issued, refreshed or rejected
+    this.configure(config);
+  }
+
+  // Set the app key and endpoints; the URLs can point at a local mock OAuth server
+  configure(config = {}) {
+    this.clientId = config.clientId ?? this.clientId ?? null;
+    this.redirectUri = config.redirectUri ?? this.redirectUri ?? null;
+    this.authBaseUrl = config.authBaseUrl || this.authBaseUrl || 'https://api.schwabapi.com/v1/oauth';
+    this.apiBaseUrl = config.apiBaseUrl || this.apiBaseUrl || 'https://api.schwabapi.com';
+  }
+
+  // Base64url without padding, as PKCE uses for the verifier and the challenge
+  static toBase64Url(bytes) {
+    return btoa(String.fromCharCode(...bytes)).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+  }
+
+  // A random one-time code verifier for a login, kept by the page until the login returns
+  static createCodeVerifier() {
+    return SchwabBrowserService.toBase64Url(crypto.getRandomValues(new Uint8Array(32)));
+  }
+
+  // The S256 challenge sent with the login for a code verifier
+  static async getCodeChallenge(codeVerifier) {
+    const digest = await crypto.subtle.digest('SHA-256', new TextEncoder().encode(codeVerifier));
+    return SchwabBrowserService.toBase64Url(new Uint8Array(digest));
+  }
+
+  // URL of the login page that starts the authorization-code flow
+  getAuthorizationUrl(state, codeChallenge) {
+    const params = new URLSearchParams({
+      client_id: this.clientId,
+      redirect_uri: this.redirectUri,
+      response_type: 'code',
+      state,
+      code_challenge: codeChallenge,
+      code_challenge_method: 'S256'
+    });
+    return `${this.authBaseUrl}/authorize?${params}`;
+  }
+
+  // Exchange the code returned to the redirect URI, with the verifier of the login's challenge, for tokens
+  async exchangeAuthorizationCode(code, codeVerifier) {
+    if (!codeVerifier) {
+      throw new Error('The login was not started from this page; log in again');
+    }
+    await this.requestTokens({
+      grant_type: 'authorization_code',
+      code,
+      redirect_uri: this.redirectUri,
+      code_verifier: codeVerifier
+    });
+    return true;
+  }
+
+  // Get a new access token with the refresh token; concurrent callers share one request
+  async refreshAccessToken() {
+    if (!this.refreshToken) {
+      throw new Error('No refresh token available');
+    }
+    if (!this.refreshPromise) {
+      this.refreshPromise = this.requestTokens({
+        grant_type: 'refresh_token',
+        refresh_token: this.refreshToken
+      }).finally(() => {
+        this.refreshPromise = null;
+      });
+    }
+    return this.refreshPromise;
+  }
+
+  // POST to the token endpoint as a public client and store the tokens it returns
+  async requestTokens(params) {
+    if (!this.clientId) {
+      throw new Error('App key is required to request tokens');
+    }
+
+    const response = await fetch(`${this.authBaseUrl}/token`, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/x-www-form-urlencoded'
+      },
+      body: new URLSearchParams({ ...params, client_id: this.clientId }).toString()
+    });
+
+    if (!response.ok) {
+      this.isAuthenticated = false;
+      this.notifyTokensChanged();
+      throw new Error(`Token request failed: ${response.status}`);
+    }
+
+    const tokens = await response.json();
+    this.accessToken = tokens.access_token;
+    this.refreshToken = tokens.refresh_token || this.refreshToken;
+    this.accessTokenExpiresAt = tokens.expires_in ? Date.now() + tokens.expires_in * 1000 : null;
+    this.isAuthenticated = true;
+    this.notifyTokensChanged();
+    return tokens;
+  }
+
+  notifyTokensChanged() {
+    if (this.onTokensChanged) {
+      this.onTokensChanged(this);
+    }
+  }
+
+  // Initialize with existing tokens (pasted or saved) and check them with a quote for the given symbol
+  async initializeWithTokens(accessToken, refreshToken, accessTokenExpiresAt, symbol) {
+    this.accessToken = accessToken;
+    this.refreshToken = refreshToken;
+    this.accessTokenExpiresAt = accessTokenExpiresAt;
+    this.isAuthenticated = true;
+    return this.validateTokens(symbol);
+  }
+
+  // Make a cheap authenticated call for the symbol the user is working with; makeApiCall refreshes the access
+  // token if it was rejected
+  async validateTokens(symbol) {
+    if (!symbol) {
+      throw new Error('Enter a symbol to check the tokens with');
+    }
+    try {
+      await this.getQuote(symbol);
+      return true;
+    } catch (error) {
+      console.error('Schwab token validation failed:', error);
+      this.isAuthenticated = false;
+      this.notifyTokensChanged();
+      return false;
+    }
+  }
+
+  // Simple API call wrapper for browser
+  async makeApiCall(url, options = {}) {
+    if (!this.isAuthenticated) {
+      throw new Error('Not authenticated');
+    }
+
+    // Refresh ahead of time when the access token is known to be about to expire
+    if (this.accessTokenExpiresAt && Date.now() > this.accessTokenExpiresAt - 60000 && this.canRefresh()) {
+      await this.refreshAccessToken();
+    }
+
+    let response = await this.fetchWithToken(url, options);
+
+    // The access token was rejected: refresh it once and retry
+    if (response.status === 401 && this.canRefresh()) {
+      await this.refreshAccessToken();
+      response = await this.fetchWithToken(url, options);
+    }
+
+    if (response.status === 401) {
+      this.isAuthenticated = false;
+      this.notifyTokensChanged();
+    }
+
+    if (!response.ok) {
+      throw new Error(`API call failed: ${response.status}`);
+    }
+
+    return response.json();
+  }
+
+  canRefresh() {
+    return Boolean(this.refreshToken && this.clientId);
+  }
+
+  fetchWithToken(url, options) {
+    return fetch(url, {
+      ...options,
+      headers: {
+        'Authorization': `Bearer ${this.accessToken}`,
+        'Content-Type': 'application/json',
+        ...options.headers
+      }
+    });
+  }
+
+  // Get quote for a symbol
+  async getQuote(symbol) {
+    const url = `${this.apiBaseUrl}/v1/marketdata/quotes?symbols=${symbol}`;
+    return this.makeApiCall(url);
+  }
+
+  // Get options chain
+  async getOptionsChain(symbol, expirationDate) {
+    const url = `${this.apiBaseUrl}/v1/marketdata/chains?symbol=${symbol}&expirationDate=${expirationDate}`;
+    return this.makeApiCall(url);
+  }
+
+  // Get option expirations
+  async getOptionExpirations(symbol) {
+    const url = `${this.apiBaseUrl}/v1/marketdata/expirationchain?symbol=${symbol}`;
+    return this.makeApiCall(url);
+  }
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = { SchwabBrowserService };
+}
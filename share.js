@@ -0,0 +1,169 @@
+// Share links - The input and chart view encoded in the URL fragment, so a link reopens the same chart.
+//
+// The fragment is #s=<version><encoding><data>: version 1, encoding 'z' for deflate-compressed or 'u' for plain
+// UTF-8, and the data in base64url. The data is JSON:
+// { t: input text, n: legs (or journal dates) shown by the slider, e: expiration, h: names of the hidden scenarios,
+//   z: [min, max] prices the chart is zoomed to, c: contribution mode, cs: contribution style }.
+
+const SHARE_FRAGMENT_PREFIX = '#s=';
+const SHARE_FORMAT_VERSION = '1';
+
+function bytesToBase64Url(bytes) {
+  let binary = '';
+  for (let i = 0; i < bytes.length; i += 0x8000) {
+    binary += String.fromCharCode(...bytes.subarray(i, i + 0x8000));
+  }
+  return btoa(binary).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+}
+
+function base64UrlToBytes(data) {
+  const binary = atob(data.replace(/-/g, '+').replace(/_/g, '/'));
+  return Uint8Array.from(binary, character => character.charCodeAt(0));
+}
+
+// Run bytes through a CompressionStream or DecompressionStream
+async function transformBytes(bytes, stream) {
+  const buffer = await new Response(new Blob([bytes]).stream().pipeThrough(stream)).arrayBuffer();
+  return new Uint8Array(buffer);
+}
+
+// Encode the state for the fragment, compressed when the browser supports it and it comes out shorter
+async function encodeShareState(state) {
+  const bytes = new TextEncoder().encode(JSON.stringify(state));
+  if (typeof CompressionStream !== 'undefined') {
+    const compressed = await transformBytes(bytes, new CompressionStream('deflate-raw'));
+    if (compressed.length < bytes.length) {
+      return `${SHARE_FORMAT_VERSION}z${bytesToBase64Url(compressed)}`;
+    }
+  }
+  return `${SHARE_FORMAT_VERSION}u${bytesToBase64Url(bytes)}`;
+}
+
+async function decodeShareState(encoded) {
+  const version = encoded.charAt(0);
+  const encoding = encoded.charAt(1);
+  if (version !== SHARE_FORMAT_VERSION) {
+    throw new Error('This link was made by a different version of Option Calc');
+  }
+
+  let bytes = base64UrlToBytes(encoded.slice(2));
+  if (encoding === 'z') {
+    if (typeof DecompressionStream === 'undefined') {
+      throw new Error('This browser cannot open compressed links');
+    }
+    bytes = await transformBytes(bytes, new DecompressionStream('deflate-raw'));
+  } else if (encoding !== 'u') {
+    throw new Error('The link is not a valid Option Calc link');
+  }
+
+  const state = JSON.parse(new TextDecoder().decode(bytes));
+  if (!state || typeof state.t !== 'string') {
+    throw new Error('The link has no position in it');
+  }
+  return state;
+}
+
+// The input as typed, plus the slider position, evaluation date, hidden scenarios, zoom and contribution view
+// when they differ from the defaults
+function getShareState() {
+  const state = { t: document.getElementById('textInput').value };
+  const slider = document.getElementById('optionRange');
+  if (fullOptionArray.length > 1 && Number(slider.value) < getSliderSteps()) {
+    state.n = Number(slider.value);
+  }
+  if (fullViewExpiration) {
+    state.e = fullViewExpiration;
+  }
+  const hidden = fullScenarios.map(scenario => scenario.name).filter(name => hiddenScenarios.has(name));
+  if (hidden.length > 0) {
+    state.h = hidden;
+  }
+  if (fullViewDomain) {
+    state.z = fullViewDomain.map(price => Math.round(price * 100) / 100);
+  }
+  const contributionMode = document.getElementById('contribution-mode').value;
+  if (contributionMode !== 'off') {
+    state.c = contributionMode;
+    state.cs = document.getElementById('contribution-style').value;
+  }
+  return state;
+}
+
+// Put a link to the current chart in the address bar and on the clipboard
+async function shareLink() {
+  const status = document.getElementById('share-status');
+  try {
+    const url = `${location.href.split('#')[0]}${SHARE_FRAGMENT_PREFIX}${await encodeShareState(getShareState())}`;
+    history.replaceState(null, '', url);
+    if (navigator.clipboard) {
+      await navigator.clipboard.writeText(url);
+      status.textContent = 'Link copied';
+    } else {
+      status.textContent = 'Link is in the address bar';
+    }
+  } catch (error) {
+    console.error('Error creating share link:', error);
+    status.textContent = `Could not create a link: ${error.message}`;
+  }
+}
+
+// Open the position in a share link, in a portfolio of its own unless it matches the open one, then redraw
+// the chart as it was shared
+async function restoreSharedState() {
+  if (!location.hash.startsWith(SHARE_FRAGMENT_PREFIX)) {
+    return;
+  }
+
+  let state;
+  try {
+    state = await decodeShareState(location.hash.slice(SHARE_FRAGMENT_PREFIX.length));
+  } catch (error) {
+    console.error('Error opening share link:', error);
+    alert(`Could not open the shared link: ${error.message}`);
+    return;
+  }
+
+  const library = loadPortfolioLibrary();
+  if (getPortfolioText(getActivePortfolio(library)) !== state.t) {
+    const portfolio = createPortfolio('Shared position');
+    library.portfolios.push(portfolio);
+    library.activeId = portfolio.id;
+    savePortfolioLibrary(library);
+    updatePortfolioPicker();
+  }
+
+  document.getElementById('textInput').value = state.t;
+  fullViewExpiration = state.e || null;
+  hiddenScenarios = new Set(Array.isArray(state.h) ? state.h : []);
+  restoreSelectValue('contribution-mode', state.c || 'off');
+  restoreSelectValue('contribution-style', state.cs || 'separate');
+  processInput();
+
+  // The slider starts at 1 and shows every leg at its last step, which links leave out
+  const slider = document.getElementById('optionRange');
+  const hasSliderPosition = Number.isInteger(state.n) && state.n >= 1 && state.n < getSliderSteps();
+  if (hasSliderPosition) {
+    slider.value = state.n;
+  }
+  const hasZoom = Array.isArray(state.z) && state.z.length === 2 && state.z.every(Number.isFinite) && state.z[0] < state.z[1];
+  if (hasZoom) {
+    fullViewDomain = state.z;
+  }
+  if ((hasSliderPosition || hasZoom) && fullOptionArray.length > 0) {
+    updateChartWithSlider();
+  }
+
+  // Drop the fragment, so reloading the page doesn't open the link again
+  history.replaceState(null, '', location.href.split('#')[0]);
+}
+
+// Pick a select's option from a link, leaving the select as it is when the link's value isn't one of its options
+function restoreSelectValue(id, value) {
+  const select = document.getElementById(id);
+  if (Array.from(select.options).some(option => option.value === value)) {
+    select.value = value;
+  }
+}
+
+document.addEventListener('DOMContentLoaded', restoreSharedState);
+window.addEventListener('hashchange', restoreSharedState);
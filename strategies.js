@@ -0,0 +1,236 @@
+// Strategy templates - Generate optionArray legs for common strategies from a center strike and width.
+//
+// A template is a comma-separated list of legs. Option legs give their strike as an offset from the
+// center in widths, and may name the front or back expiration:
+//   -1p{-1},1p{-2},-1c{+1},1c{+2}     iron condor
+//   -1c{0}/front,1c{0}/back           calendar
+//   100s,1p{-1},-1c{+1}               collar (shares and futures legs have no strike, and enter at the underlying price)
+// Quantities are multiplied by the builder's quantity, so a negative quantity reverses the strategy.
+
+const BUILT_IN_STRATEGIES = [
+  { name: 'Bull call vertical', legs: '1c{0},-1c{+1}' },
+  { name: 'Bear put vertical', legs: '1p{0},-1p{-1}' },
+  { name: 'Straddle', legs: '1c{0},1p{0}' },
+  { name: 'Strangle', legs: '1p{-1},1c{+1}' },
+  { name: 'Iron condor', legs: '1p{-2},-1p{-1},-1c{+1},1c{+2}' },
+  { name: 'Iron butterfly', legs: '1p{-1},-1p{0},-1c{0},1c{+1}' },
+  { name: 'Call butterfly', legs: '1c{-1},-2c{0},1c{+1}' },
+  { name: 'Broken-wing call butterfly', legs: '1c{-1},-2c{0},1c{+2}' },
+  { name: 'Call ratio spread', legs: '1c{0},-2c{+1}' },
+  { name: 'Jade lizard', legs: '-1p{-1},-1c{+1},1c{+2}' },
+  { name: 'Call calendar', legs: '-1c{0}/front,1c{0}/back' },
+  { name: 'Put diagonal', legs: '-1p{0}/front,1p{-1}/back' },
+  { name: 'Collar', legs: '100s,1p{-1},-1c{+1}' }
+];
+
+const USER_STRATEGIES_KEY = 'optioncalc_strategy_templates';
+
+// Parse a template's legs, e.g. '-1p{-1},1c{+2}/back', into { qty, type, offset, expiration }
+function parseStrategyTemplate(legs) {
+  const parsedLegs = legs
+    .split(',')
+    .map(leg => leg.trim())
+    .filter(leg => leg)
+    .map(leg => {
+      const match = leg.match(/^([+-]?\d+)([cpsf])(?:\{([+-]?\d+(?:\.\d+)?)\})?(?:\/(front|back))?$/i);
+      if (!match) {
+        throw new Error(`Invalid template leg: ${leg}. Expected format like 1c{0}, -2p{-1}, 1c{+1}/back or 100s`);
+      }
+      const type = match[2].toLowerCase();
+      const isUnderlying = type === 's' || type === 'f';
+      if (isUnderlying && (match[3] || match[4])) {
+        throw new Error(`Invalid template leg: ${leg}. Shares and futures legs have no strike or expiration`);
+      }
+      if (!isUnderlying && !match[3]) {
+        throw new Error(`Invalid template leg: ${leg}. Option legs need a strike offset like {0} or {+1}`);
+      }
+      return {
+        qty: parseInt(match[1], 10),
+        type,
+        offset: isUnderlying ? null : parseFloat(match[3]),
+        expiration: match[4] ? match[4].toLowerCase() : null
+      };
+    });
+
+  if (parsedLegs.length === 0) {
+    throw new Error('A template needs at least one leg');
+  }
+  return parsedLegs;
+}
+
+// Turn a template into optionArray legs. Untagged option legs use the front expiration when one is given,
+// and shares and futures legs are bought or sold at the underlying price.
+function buildStrategyLegs(legs, { center, width, quantity, underlyingPrice, frontExpiration, backExpiration }) {
+  if (!(width > 0)) {
+    throw new Error('Width must be a positive number of points');
+  }
+  if (!Number.isInteger(quantity) || quantity === 0) {
+    throw new Error('Quantity must be a whole number other than zero');
+  }
+
+  return parseStrategyTemplate(legs).map(leg => {
+    const qty = leg.qty * quantity;
+    if (leg.offset === null) {
+      if (!(underlyingPrice > 0)) {
+        throw new Error('This template has shares or futures; enter the underlying price they are bought at');
+      }
+      return `${qty}${leg.type}@${underlyingPrice}`;
+    }
+
+    const strike = Math.round((center + leg.offset * width) * 100) / 100;
+    if (!(strike > 0)) {
+      throw new Error(`Strike ${strike} is not positive; use a higher center strike or a smaller width`);
+    }
+
+    let expiration = frontExpiration;
+    if (leg.expiration === 'back') {
+      if (!backExpiration) {
+        throw new Error('This template needs a back expiration');
+      }
+      expiration = backExpiration;
+    } else if (leg.expiration === 'front' && !frontExpiration) {
+      throw new Error('This template needs a front expiration');
+    }
+    return `${qty}${leg.type}${strike}${expiration ? `/${expiration}` : ''}`;
+  });
+}
+
+// Templates the user has saved in this browser
+function loadUserStrategies() {
+  try {
+    const saved = JSON.parse(localStorage.getItem(USER_STRATEGIES_KEY) || '[]');
+    return Array.isArray(saved) ? saved.filter(template => template && template.name && template.legs) : [];
+  } catch (error) {
+    console.error('Error loading saved strategy templates:', error);
+    return [];
+  }
+}
+
+function saveUserStrategies(templates) {
+  localStorage.setItem(USER_STRATEGIES_KEY, JSON.stringify(templates));
+}
+
+// Fill the template picker with the built-in templates and the user's own
+function updateStrategyPicker(selectedName = null) {
+  const select = document.getElementById('strategy-template');
+  select.innerHTML = '';
+
+  // Build the options as elements, as user template names can contain any text
+  const addGroup = (label, templates) => {
+    if (templates.length === 0) {
+      return;
+    }
+    const group = document.createElement('optgroup');
+    group.label = label;
+    templates.forEach(template => group.appendChild(new Option(template.name, template.name)));
+    select.appendChild(group);
+  };
+  addGroup('Built-in', BUILT_IN_STRATEGIES);
+  addGroup('My templates', loadUserStrategies());
+
+  if (selectedName) {
+    select.value = selectedName;
+  }
+  selectStrategyTemplate();
+}
+
+// Show the chosen template's legs so they can be tweaked or saved under a new name
+function selectStrategyTemplate() {
+  const name = document.getElementById('strategy-template').value;
+  const userTemplate = loadUserStrategies().find(template => template.name === name);
+  const template = userTemplate || BUILT_IN_STRATEGIES.find(candidate => candidate.name === name);
+
+  document.getElementById('strategy-legs').value = template ? template.legs : '';
+  document.getElementById('strategy-name').value = userTemplate ? name : '';
+  document.getElementById('strategy-delete').disabled = !userTemplate;
+}
+
+// Save the legs as a user template, replacing one with the same name
+function saveStrategyTemplate() {
+  const name = document.getElementById('strategy-name').value.trim();
+  const legs = document.getElementById('strategy-legs').value.trim();
+  if (!name) {
+    alert('Please enter a name for the template');
+    return;
+  }
+  if (BUILT_IN_STRATEGIES.some(template => template.name === name)) {
+    alert(`"${name}" is a built-in template; please choose another name`);
+    return;
+  }
+
+  try {
+    parseStrategyTemplate(legs);
+  } catch (error) {
+    alert(error.message);
+    return;
+  }
+
+  const templates = loadUserStrategies().filter(template => template.name !== name);
+  templates.push({ name, legs });
+  saveUserStrategies(templates);
+  updateStrategyPicker(name);
+}
+
+function deleteStrategyTemplate() {
+  const name = document.getElementById('strategy-template').value;
+  saveUserStrategies(loadUserStrategies().filter(template => template.name !== name));
+  updateStrategyPicker();
+}
+
+// Generate the legs into the input and draw the position
+function applyStrategyTemplate() {
+  const readNumber = id => {
+    const value = document.getElementById(id).value.trim();
+    return value === '' ? null : Number(value);
+  };
+  const readDate = id => document.getElementById(id).value || null;
+
+  const underlyingPrice = readNumber('strategy-underlying');
+  const width = readNumber('strategy-width');
+  const center = readNumber('strategy-center') ?? (underlyingPrice && width ? Math.round(underlyingPrice / width) * width : null);
+  const iv = readNumber('strategy-iv');
+
+  let legs;
+  try {
+    if (!(center > 0)) {
+      throw new Error('Please enter a center strike or the underlying price');
+    }
+    // The IV needs a time to expiration to price the legs with, which comes from their expiration
+    if (iv > 0 && !readDate('strategy-front')) {
+      throw new Error('Please enter a front expiration to price the legs with the IV');
+    }
+    legs = buildStrategyLegs(document.getElementById('strategy-legs').value, {
+      center,
+      width,
+      quantity: readNumber('strategy-quantity'),
+      underlyingPrice,
+      frontExpiration: readDate('strategy-front'),
+      backExpiration: readDate('strategy-back')
+    });
+  } catch (error) {
+    alert(error.message);
+    return;
+  }
+
+  // Write the position in the line format, as a trade named after the template
+  const lines = [];
+  if (underlyingPrice > 0) {
+    lines.push(`price: ${underlyingPrice}`);
+  }
+  if (iv > 0) {
+    lines.push(`iv: ${iv}`);
+  }
+  if (lines.length > 0) {
+    lines.push('');
+  }
+  lines.push(`[${document.getElementById('strategy-template').value || 'Strategy'}]`, ...legs);
+  document.getElementById('textInput').value = `${lines.join('\n')}\n`;
+  processInput();
+}
+
+function initStrategyBuilder() {
+  updateStrategyPicker();
+  document.getElementById('strategy-template').addEventListener('change', selectStrategyTemplate);
+}
+
+document.addEventListener('DOMContentLoaded', initStrategyBuilder);
@@ -0,0 +1,40 @@
+// Tests of the command line report, run as a child process on inputs given on standard input.
+//
+//   node --test
+
+const test = require('node:test');
+const assert = require('node:assert');
+const path = require('path');
+const { spawnSync } = require('child_process');
+
+const CLI = path.join(__dirname, '..', 'cli.js');
+
+function runCli(input, ...args) {
+  return spawnSync(process.execPath, [CLI, '-', '--today', '2026-01-02', ...args], { input, encoding: 'utf8', timeout: 30000 });
+}
+
+test('prints the exact expiration summary, with a minimum profit for a position that cannot lose', () => {
+  const { status, stdout } = runCli('cost: -100\n1c620\n');
+  assert.strictEqual(status, 0);
+  assert.match(stdout, /^Total Cost: -\$100\.00$/m);
+  assert.match(stdout, /^Break-evens: none$/m);
+  assert.match(stdout, /^Max Profit: Unlimited$/m);
+  assert.match(stdout, /^Max Loss: none \(minimum profit \+100\.00 at 0-620\)$/m);
+});
+
+test('reports the payoff and the margin as JSON', () => {
+  const { status, stdout } = runCli('cost: 0\nfills: true\n100s@450, -1c460@5\n', '--format', 'json');
+  assert.strictEqual(status, 0);
+  const report = JSON.parse(stdout);
+  assert.deepStrictEqual(report.legs, ['100s', '-1c460']);
+  assert.strictEqual(report.cost, 0);
+  assert.deepStrictEqual(report.payoffSummary.breakEvens, []);
+  assert.strictEqual(report.margin.regT.requirement, 44500);
+});
+
+test('exits with the input errors and their line and column', () => {
+  const { status, stdout, stderr } = runCli('1c620\n1x700\n');
+  assert.strictEqual(status, 1);
+  assert.strictEqual(stdout, '');
+  assert.match(stderr, /^Error: Line 2, column 1: Invalid option format: 1x700/m);
+});
@@ -0,0 +1,113 @@
+// Tests of the engine's calculations and input parser.
+//
+//   node --test
+
+const test = require('node:test');
+const assert = require('node:assert');
+const OptionEngine = require('../engine');
+
+const TODAY = { today: '2026-01-02' };
+
+// Profit or loss of legs against their cost at an underlying price at expiration
+function profitAt(legs, cost, price) {
+  const [point] = OptionEngine.calculatePortfolioValueAtExpiration(legs, price, price + 1, 10);
+  return point.totalIntrinsicValue - cost;
+}
+
+test('costs the shares and the call of a covered call apart', () => {
+  const parsed = OptionEngine.parsePositionInput('fills: true\n-1c460@5, 100s@450', TODAY);
+  const [call, shares] = parsed.optionArray;
+  assert.strictEqual(parsed.cost, 44500);
+
+  const callCost = OptionEngine.calculateSubsetCost(parsed.optionArray, [call], parsed.cost);
+  assert.strictEqual(callCost, -500);
+  assert.strictEqual(profitAt([call], callCost, 450), 500);
+  assert.strictEqual(profitAt([call], callCost, 470), -500);
+
+  const sharesCost = OptionEngine.calculateSubsetCost(parsed.optionArray, [shares], parsed.cost);
+  assert.strictEqual(sharesCost, 45000);
+  assert.strictEqual(profitAt([shares], sharesCost, 460), 1000);
+  assert.strictEqual(profitAt(parsed.optionArray, parsed.cost, 470), 1500);
+});
+
+test('rejects shares without an entry price', () => {
+  const { result, diagnostics } = OptionEngine.analyzePositionInput('100s, -1c460', TODAY);
+  assert.strictEqual(result, null);
+  assert.match(diagnostics[0].message, /100s needs an entry price, like 100s@450/);
+});
+
+test('takes a manual cost as typed, shares included', () => {
+  const parsed = OptionEngine.parsePositionInput('cost: 45000\nfills: true\n100s@450, 1p440@5', TODAY);
+  assert.strictEqual(parsed.hasCostOverride, true);
+  assert.strictEqual(parsed.totalFillCost, 45500);
+  assert.strictEqual(parsed.cost, 45000);
+
+  const json = OptionEngine.parsePositionInput('{"cost": 100, "optionArray": "100s@450"}', TODAY);
+  assert.strictEqual(json.cost, 100);
+});
+
+test('counts shares at their entry price for Reg-T margin, whatever the cost', () => {
+  const margin = input => {
+    const parsed = OptionEngine.parsePositionInput(input, TODAY);
+    return OptionEngine.estimateMarginRequirement(parsed.positions, 450, { optionsCost: parsed.optionsCost }).regT;
+  };
+  assert.strictEqual(margin('fills: true\n100s@450, -1c460@5').requirement, 44500);
+  assert.strictEqual(margin('cost: 0\nfills: true\n100s@450, -1c460@5').requirement, 44500);
+  assert.strictEqual(margin('cost: 0\n100s@440').requirement, 44000);
+  assert.strictEqual(margin('cost: 300\n1c460, -1c470').requirement, 300);
+
+  const withoutEntry = OptionEngine.estimateMarginRequirement([{ qty: 100, type: 's', strike: null }], 450);
+  assert.strictEqual(withoutEntry.regT.requirement, 45000);
+});
+
+test('prices options with Black-Scholes and backs out the volatility from a price', () => {
+  const call = OptionEngine.blackScholesPrice('c', 100, 100, 1, 0.2, 0.05);
+  const put = OptionEngine.blackScholesPrice('p', 100, 100, 1, 0.2, 0.05);
+  assert.ok(Math.abs(call - 10.4506) < 1e-4);
+  assert.ok(Math.abs(call - put - (100 - 100 * Math.exp(-0.05))) < 1e-9);
+  assert.strictEqual(OptionEngine.blackScholesPrice('c', 110, 100, 0, 0.2), 10);
+
+  const price = OptionEngine.blackScholesPrice('c', 450, 460, 30 / 365, 0.27, 0.04);
+  assert.ok(Math.abs(OptionEngine.impliedVolatility('c', price, 450, 460, 30 / 365, 0.04) - 0.27) < 1e-6);
+  assert.strictEqual(OptionEngine.impliedVolatility('c', 0.5, 450, 400, 0.1), null);
+});
+
+test('solves the expiration payoff exactly', () => {
+  const spread = OptionEngine.parsePositionInput('fills: true\n1c620@30, -1c700@10', TODAY);
+  const summary = OptionEngine.solveExpirationPayoff(spread.positions, spread.cost);
+  assert.deepStrictEqual(summary.breakEvens, [640]);
+  assert.deepStrictEqual(summary.maxProfit, { value: 6000, unlimited: false, ranges: [{ from: 700, to: Infinity }] });
+  assert.deepStrictEqual(summary.maxLoss, { value: -2000, unlimited: false, ranges: [{ from: 0, to: 620 }] });
+
+  const nakedCall = OptionEngine.parsePositionInput('fills: true\n-1c700@5', TODAY);
+  const naked = OptionEngine.solveExpirationPayoff(nakedCall.positions, nakedCall.cost);
+  assert.deepStrictEqual(naked.breakEvens, [705]);
+  assert.strictEqual(naked.maxLoss.unlimited, true);
+
+  const calendar = OptionEngine.parsePositionInput('1c620/2026-02-20, -1c620/2026-01-16', TODAY);
+  assert.strictEqual(OptionEngine.solveExpirationPayoff(calendar.positions, calendar.cost), null);
+});
+
+test('reports each input problem with its line and column', () => {
+  const { result, diagnostics } = OptionEngine.analyzePositionInput('1c620, 1x700\nfoo: 1', TODAY);
+  assert.strictEqual(result, null);
+  assert.deepStrictEqual(diagnostics.map(({ severity, line, column, length }) => ({ severity, line, column, length })), [
+    { severity: 'error', line: 1, column: 8, length: 5 },
+    { severity: 'warning', line: 2, column: 1, length: 3 }
+  ]);
+  assert.match(diagnostics[0].message, /Invalid option format: 1x700/);
+  assert.throws(() => OptionEngine.parsePositionInput('1c620, 1x700', TODAY), /Line 1, column 8: Invalid option format/);
+});
+
+test('closes journal lots first in, first out', () => {
+  const journal = OptionEngine.trackJournalLots([
+    { qty: 2, type: 'c', strike: 620, fillPrice: 10, time: '2026-01-02' },
+    { qty: 1, type: 'c', strike: 620, fillPrice: 12, time: '2026-01-05' },
+    { qty: -2, type: 'c', strike: 620, fillPrice: 15, time: '2026-01-09', note: 'took profit' }
+  ]);
+  assert.deepStrictEqual(journal.openLots.map(lot => [lot.qty, lot.fillPrice, lot.time]), [[1, 12, '2026-01-05']]);
+  assert.deepStrictEqual(journal.closedLots.map(lot => [lot.qty, lot.openPrice, lot.closePrice, lot.note, lot.realizedPnL]),
+    [[2, 10, 15, 'took profit', 1000]]);
+  assert.strictEqual(journal.openCost, 1200);
+  assert.strictEqual(journal.realizedPnL, 1000);
+});
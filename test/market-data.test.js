@@ -0,0 +1,32 @@
+// Tests of the replay provider, which reads recorded snapshot files.
+//
+//   node --test
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { FileReplayProvider } = require('../market-data');
+
+const snapshotFile = (name, data) => ({ name, text: async () => JSON.stringify(data) });
+
+test('replays chains with days to expiration counted from the recording date', async () => {
+  const provider = await FileReplayProvider.fromFiles([snapshotFile('spy.json', {
+    symbol: 'spy',
+    frames: [{
+      time: '2026-03-02T15:30:00Z',
+      quote: { lastPrice: 450 },
+      chains: { '2026-03-20': [{ type: 'c', strike: 460, bid: 2, ask: 2.2 }] }
+    }]
+  })]);
+
+  assert.deepStrictEqual(provider.symbols, ['SPY']);
+  assert.strictEqual((await provider.getQuote('SPY')).lastPrice, 450);
+  assert.deepStrictEqual(await provider.getExpirations('SPY'), ['2026-03-20']);
+  const [contract] = await provider.getChain('SPY', '2026-03-20');
+  assert.strictEqual(contract.expiration, '2026-03-20');
+  assert.strictEqual(contract.daysToExpiration, 18);
+});
+
+test('rejects files without snapshots', async () => {
+  await assert.rejects(FileReplayProvider.fromFiles([snapshotFile('empty.json', { snapshots: [] })]), /empty.json has no snapshots/);
+  await assert.rejects(FileReplayProvider.fromFiles([]), /Pick at least one snapshot file/);
+});
@@ -0,0 +1,71 @@
+// Tests of the page script's startup, run in a sandbox with a minimal document.
+//
+//   node --test
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { loadPageScripts } = require('./page-context');
+
+const PAGE_SCRIPTS = ['engine.js', 'chart.js', 'schwab-service.js', 'market-data.js', 'oc.js'];
+
+test('checks saved tokens with the saved symbol, not the default one', async () => {
+  const requests = [];
+  let quoteRequested;
+  const quoteRequest = new Promise(resolve => {
+    quoteRequested = resolve;
+  });
+  const page = loadPageScripts(PAGE_SCRIPTS, {
+    localStorage: {
+      optioncalc_symbol: 'QQQ',
+      schwab_client_id: 'test-app',
+      schwab_access_token: 'access-1',
+      schwab_refresh_token: 'refresh-1'
+    },
+    elements: { 'symbol-input': { value: 'SPY' } },
+    fetch: async url => {
+      requests.push(url);
+      quoteRequested();
+      return { ok: true, status: 200, json: async () => ({}) };
+    }
+  });
+
+  // The rest of startup needs more of a page than the sandbox has; only the token check matters here
+  page.document.listeners.DOMContentLoaded.forEach(listener => Promise.resolve(listener()).catch(() => {}));
+  await quoteRequest;
+  assert.match(requests[0], /\/v1\/marketdata\/quotes\?symbols=QQQ$/);
+});
+
+test('clears saved chain expirations that cannot be read', () => {
+  ['{"2026-03-20"', '"2026-03-20"'].forEach(stored => {
+    const page = loadPageScripts(PAGE_SCRIPTS, { localStorage: { optioncalc_chain_expirations: stored } });
+    page.console = { ...console, error: () => {} };
+    assert.deepStrictEqual(Array.from(page.loadSavedChainExpirations()), []);
+    assert.strictEqual(page.localStorage.getItem('optioncalc_chain_expirations'), null);
+  });
+
+  const page = loadPageScripts(PAGE_SCRIPTS, { localStorage: { optioncalc_chain_expirations: '["2026-03-20"]' } });
+  assert.deepStrictEqual(Array.from(page.loadSavedChainExpirations()), ['2026-03-20']);
+});
+
+test('adds a chain leg at its fill price, outside any trade group', () => {
+  const page = loadPageScripts(PAGE_SCRIPTS);
+  const put = { qty: 1, type: 'p', strike: 580, fillPrice: 2 };
+
+  assert.strictEqual(page.appendLegToInput('', put), 'fills: true\n1p580@2\n');
+  assert.strictEqual(page.appendLegToInput('1c620, -1c700\n[Spread]\n1p600, -1p590\n', put),
+    'fills: true\n1c620, -1c700\n1p580@2\n[Spread]\n1p600, -1p590\n');
+  assert.strictEqual(page.appendLegToInput('{"optionArray": [{"qty": 1, "type": "c", "strike": 620, "fillPrice": 3}]}', put),
+    '{"optionArray": [{"qty": 1, "type": "c", "strike": 620, "fillPrice": 3}, {"qty":1,"type":"p","strike":580,"fillPrice":2}]}');
+  assert.throws(() => page.appendLegToInput('1c620@300\n', put), /"@" are dollar cost adjustments here/);
+});
+
+test('dates a chain leg added to a journal', () => {
+  const page = loadPageScripts(PAGE_SCRIPTS);
+  const call = { qty: -1, type: 'c', strike: 700, expiration: '2026-03-20', fillPrice: 1.5 };
+  const journal = 'journal: true\n2026-01-02 1c620@3\n[Roll]\n2026-01-05 -1c620@4, 1c640@2\n';
+
+  const lines = page.appendLegToInput(journal, call).split('\n');
+  assert.strictEqual(lines.length, 6);
+  assert.match(lines[2], /^\d{4}-\d{2}-\d{2} \d{2}:\d{2} -1c700\/2026-03-20@1\.5$/);
+  assert.deepStrictEqual(lines.filter((line, index) => index !== 2), journal.split('\n'));
+});
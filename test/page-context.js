@@ -0,0 +1,103 @@
+// Load the page's scripts under Node, into a sandbox with just enough of a browser for them to run:
+// localStorage, sessionStorage, fetch, the streams share links are compressed with, and a document whose
+// elements keep the values scripts give them.
+
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+
+function createStorage(items = {}) {
+  const values = new Map(Object.entries(items));
+  return {
+    getItem: key => (values.has(key) ? values.get(key) : null),
+    setItem: (key, value) => values.set(key, String(value)),
+    removeItem: key => values.delete(key),
+    key: index => Array.from(values.keys())[index] ?? null,
+    get length() {
+      return values.size;
+    }
+  };
+}
+
+// An element with the properties the scripts read and write; any method they call on it does nothing
+function createElement(properties = {}) {
+  const element = {
+    value: '',
+    textContent: '',
+    innerHTML: '',
+    checked: false,
+    disabled: false,
+    style: {},
+    dataset: {},
+    options: [],
+    selectedOptions: [],
+    children: [],
+    classList: { add() {}, remove() {}, toggle() {}, contains: () => false },
+    ...properties
+  };
+  return new Proxy(element, {
+    get: (target, name) => (name in target || typeof name === 'symbol' ? target[name] : () => undefined)
+  });
+}
+
+/**
+ * Run the given scripts, in order, as the page's script tags would.
+ * @param {Array<string>} files - Script paths relative to the repository root.
+ * @param {Object} options - { localStorage: initial items, elements: { id: properties }, fetch }.
+ * @returns {Object} The sandbox, with document.listeners holding the event listeners the scripts added.
+ */
+function loadPageScripts(files, { localStorage = {}, elements = {}, fetch } = {}) {
+  const elementsById = new Map();
+  const listeners = {};
+  const document = {
+    listeners,
+    getElementById: id => {
+      if (!elementsById.has(id)) {
+        elementsById.set(id, createElement(elements[id]));
+      }
+      return elementsById.get(id);
+    },
+    createElement: () => createElement(),
+    querySelector: () => null,
+    querySelectorAll: () => [],
+    addEventListener: (type, listener) => {
+      (listeners[type] = listeners[type] || []).push(listener);
+    }
+  };
+
+  const sandbox = {
+    document,
+    console,
+    localStorage: createStorage(localStorage),
+    sessionStorage: createStorage(),
+    location: { origin: 'http://localhost', pathname: '/', search: '', hash: '', href: 'http://localhost/' },
+    history: { replaceState() {} },
+    fetch: fetch || (() => Promise.reject(new Error('No network in tests'))),
+    alert: () => {},
+    setInterval: () => 0,
+    clearInterval: () => {},
+    setTimeout,
+    clearTimeout,
+    addEventListener: () => {},
+    crypto: globalThis.crypto,
+    btoa,
+    atob,
+    TextEncoder,
+    TextDecoder,
+    URL,
+    URLSearchParams,
+    Blob,
+    Response,
+    CompressionStream,
+    DecompressionStream
+  };
+  sandbox.window = sandbox;
+  const context = vm.createContext(sandbox);
+  files.forEach(file => {
+    const fullPath = path.join(__dirname, '..', file);
+    vm.runInContext(fs.readFileSync(fullPath, 'utf8'), context, { filename: fullPath });
+  });
+  return context;
+}
+
+module.exports = { loadPageScripts };
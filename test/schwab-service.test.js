@@ -0,0 +1,104 @@
+// Tests of the SchwabBrowserService login and token refresh against the mock OAuth server.
+//
+//   node --test
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { createMockOAuthServer } = require('../tools/mock-oauth-server');
+const { SchwabBrowserService } = require('../schwab-service');
+
+const REDIRECT_URI = 'http://localhost/optioncalc/';
+
+async function startServer() {
+  const mock = createMockOAuthServer();
+  await new Promise(resolve => mock.server.listen(0, '127.0.0.1', resolve));
+  const baseUrl = `http://127.0.0.1:${mock.server.address().port}`;
+  const service = new SchwabBrowserService({
+    clientId: 'test-app',
+    redirectUri: REDIRECT_URI,
+    authBaseUrl: `${baseUrl}/v1/oauth`,
+    apiBaseUrl: baseUrl
+  });
+  // fetch keeps its connections alive, so end them for the server to close
+  const close = () => new Promise(resolve => {
+    mock.server.close(resolve);
+    mock.server.closeAllConnections();
+  });
+  return { mock, service, close };
+}
+
+// Follow the login page's redirect back to the page and return its code and state
+async function logIn(service, state) {
+  const codeVerifier = SchwabBrowserService.createCodeVerifier();
+  const url = service.getAuthorizationUrl(state, await SchwabBrowserService.getCodeChallenge(codeVerifier));
+  const response = await fetch(url, { redirect: 'manual' });
+  assert.strictEqual(response.status, 302);
+  const redirect = new URL(response.headers.get('location'));
+  assert.strictEqual(`${redirect.origin}${redirect.pathname}`, REDIRECT_URI);
+  return { code: redirect.searchParams.get('code'), state: redirect.searchParams.get('state'), codeVerifier };
+}
+
+test('logs in with PKCE and no app secret', async () => {
+  const { mock, service, close } = await startServer();
+  try {
+    const login = await logIn(service, 'state-1');
+    assert.strictEqual(login.state, 'state-1');
+    assert.strictEqual(await service.exchangeAuthorizationCode(login.code, login.codeVerifier), true);
+    assert.strictEqual(service.isAuthenticated, true);
+    assert.strictEqual(service.accessToken, 'access-1');
+    assert.ok(service.accessTokenExpiresAt > Date.now());
+
+    const tokenRequest = mock.requests.find(request => request.path === '/v1/oauth/token');
+    assert.strictEqual(tokenRequest.headers.authorization, undefined);
+    assert.strictEqual(tokenRequest.params.get('client_secret'), null);
+  } finally {
+    await close();
+  }
+});
+
+test('rejects a code exchanged with the wrong verifier', async () => {
+  const { service, close } = await startServer();
+  try {
+    const login = await logIn(service, 'state-2');
+    await assert.rejects(service.exchangeAuthorizationCode(login.code, SchwabBrowserService.createCodeVerifier()),
+      /Token request failed: 400/);
+    assert.strictEqual(service.isAuthenticated, false);
+  } finally {
+    await close();
+  }
+});
+
+test('refreshes a rejected access token and retries the call', async () => {
+  const { mock, service, close } = await startServer();
+  try {
+    const login = await logIn(service, 'state-3');
+    await service.exchangeAuthorizationCode(login.code, login.codeVerifier);
+    mock.expireAccessTokens();
+
+    const quote = await service.getQuote('QQQ');
+    assert.strictEqual(quote.QQQ.quote.lastPrice, 100);
+    assert.strictEqual(service.accessToken, 'access-2');
+    assert.strictEqual(service.refreshToken, 'refresh-2');
+  } finally {
+    await close();
+  }
+});
+
+test('checks saved tokens with the given symbol', async () => {
+  const { mock, service, close } = await startServer();
+  try {
+    const login = await logIn(service, 'state-4');
+    await service.exchangeAuthorizationCode(login.code, login.codeVerifier);
+    const saved = new SchwabBrowserService(service);
+
+    assert.strictEqual(await saved.initializeWithTokens(service.accessToken, service.refreshToken, null, 'IWM'), true);
+    const quoteRequests = mock.requests.filter(request => request.path === '/v1/marketdata/quotes');
+    assert.deepStrictEqual(quoteRequests.map(request => request.params.get('symbols')), ['IWM']);
+
+    mock.expireAccessTokens();
+    assert.strictEqual(await saved.initializeWithTokens('stale', 'not-issued', null, 'IWM'), false);
+    assert.strictEqual(saved.isAuthenticated, false);
+  } finally {
+    await close();
+  }
+});
@@ -0,0 +1,28 @@
+// Tests of the share link encoding, run in a sandbox with the page's scripts.
+//
+//   node --test
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { loadPageScripts } = require('./page-context');
+
+const PAGE_SCRIPTS = ['engine.js', 'chart.js', 'schwab-service.js', 'market-data.js', 'oc.js', 'share.js'];
+
+test('round-trips the share state, compressed when that is shorter', async () => {
+  const page = loadPageScripts(PAGE_SCRIPTS);
+  const state = { t: '1c620, -1c700\n'.repeat(5), n: 2, e: '2026-03-20', z: [600, 720], c: 'leg', cs: 'stacked' };
+  const encoded = await page.encodeShareState(state);
+  assert.match(encoded, /^1z[\w-]+$/);
+  assert.deepStrictEqual(JSON.parse(JSON.stringify(await page.decodeShareState(encoded))), state);
+
+  const short = await page.encodeShareState({ t: '1c620' });
+  assert.match(short, /^1u[\w-]+$/);
+  assert.strictEqual((await page.decodeShareState(short)).t, '1c620');
+});
+
+test('rejects share links it cannot read', async () => {
+  const page = loadPageScripts(PAGE_SCRIPTS);
+  await assert.rejects(page.decodeShareState('2ueyJ0IjoiMWM2MjAifQ'), /different version of Option Calc/);
+  await assert.rejects(page.decodeShareState('1xeyJ0IjoiMWM2MjAifQ'), /not a valid Option Calc link/);
+  await assert.rejects(page.decodeShareState('1ueyJuIjoxfQ'), /no position in it/);
+});
@@ -0,0 +1,137 @@
+// Mock Schwab OAuth server - The authorize, token and quote endpoints SchwabBrowserService talks to, for tests
+// and for trying the login locally.
+//
+//   node tools/mock-oauth-server.js [port]
+//
+// then set the page's OAuth URL to http://localhost:<port>/v1/oauth and its API URL to http://localhost:<port>.
+// The authorize page logs in straight away and redirects back with a code. The token endpoint accepts public
+// clients only: it rejects a request with an Authorization header and checks the PKCE verifier against the
+// challenge of the login.
+
+const http = require('http');
+const crypto = require('crypto');
+
+const ACCESS_TOKEN_SECONDS = 1800;
+
+function createMockOAuthServer({ clientId = 'test-app' } = {}) {
+  const logins = new Map(); // code -> { challenge, redirectUri }
+  const accessTokens = new Set();
+  const refreshTokens = new Set();
+  const requests = []; // { method, path, params } of every request, for tests to inspect
+  let issued = 0;
+
+  const issueTokens = () => {
+    issued++;
+    const tokens = {
+      access_token: `access-${issued}`,
+      refresh_token: `refresh-${issued}`,
+      token_type: 'Bearer',
+      expires_in: ACCESS_TOKEN_SECONDS
+    };
+    accessTokens.add(tokens.access_token);
+    refreshTokens.add(tokens.refresh_token);
+    return tokens;
+  };
+
+  const send = (response, status, body, headers = {}) => {
+    response.writeHead(status, {
+      'Access-Control-Allow-Origin': '*',
+      'Access-Control-Allow-Headers': 'Authorization, Content-Type',
+      'Content-Type': 'application/json',
+      ...headers
+    });
+    response.end(body === undefined ? '' : JSON.stringify(body));
+  };
+
+  const authorize = (params, response) => {
+    if (params.get('client_id') !== clientId || params.get('response_type') !== 'code' ||
+        params.get('code_challenge_method') !== 'S256' || !params.get('code_challenge') || !params.get('redirect_uri')) {
+      send(response, 400, { error: 'invalid_request' });
+      return;
+    }
+    const code = crypto.randomBytes(16).toString('hex');
+    logins.set(code, { challenge: params.get('code_challenge'), redirectUri: params.get('redirect_uri') });
+    const redirect = new URL(params.get('redirect_uri'));
+    redirect.searchParams.set('code', code);
+    redirect.searchParams.set('state', params.get('state') || '');
+    send(response, 302, undefined, { Location: redirect.toString() });
+  };
+
+  const token = (request, params, response) => {
+    if (request.headers.authorization || params.get('client_secret') || params.get('client_id') !== clientId) {
+      send(response, 401, { error: 'invalid_client' });
+      return;
+    }
+
+    if (params.get('grant_type') === 'authorization_code') {
+      const login = logins.get(params.get('code'));
+      logins.delete(params.get('code'));
+      const challenge = crypto.createHash('sha256').update(params.get('code_verifier') || '').digest('base64url');
+      if (!login || login.challenge !== challenge || login.redirectUri !== params.get('redirect_uri')) {
+        send(response, 400, { error: 'invalid_grant' });
+        return;
+      }
+      send(response, 200, issueTokens());
+    } else if (params.get('grant_type') === 'refresh_token') {
+      if (!refreshTokens.delete(params.get('refresh_token'))) {
+        send(response, 400, { error: 'invalid_grant' });
+        return;
+      }
+      send(response, 200, issueTokens());
+    } else {
+      send(response, 400, { error: 'unsupported_grant_type' });
+    }
+  };
+
+  const quotes = (request, params, response) => {
+    const bearer = (request.headers.authorization || '').replace(/^Bearer /, '');
+    if (!accessTokens.has(bearer)) {
+      send(response, 401, { error: 'invalid_token' });
+      return;
+    }
+    const symbol = params.get('symbols');
+    send(response, 200, { [symbol]: { symbol, quote: { lastPrice: 100, bidPrice: 99.95, askPrice: 100.05 } } });
+  };
+
+  const server = http.createServer((request, response) => {
+    let body = '';
+    request.on('data', chunk => {
+      body += chunk;
+    });
+    request.on('end', () => {
+      const url = new URL(request.url, 'http://localhost');
+      const params = request.method === 'POST' ? new URLSearchParams(body) : url.searchParams;
+      requests.push({ method: request.method, path: url.pathname, params, headers: request.headers });
+
+      if (request.method === 'OPTIONS') {
+        send(response, 204);
+      } else if (request.method === 'GET' && url.pathname === '/v1/oauth/authorize') {
+        authorize(params, response);
+      } else if (request.method === 'POST' && url.pathname === '/v1/oauth/token') {
+        token(request, params, response);
+      } else if (request.method === 'GET' && url.pathname === '/v1/marketdata/quotes') {
+        quotes(request, params, response);
+      } else {
+        send(response, 404, { error: 'not_found' });
+      }
+    });
+  });
+
+  return {
+    server,
+    requests,
+    // Make every access token issued so far invalid, as if they had expired
+    expireAccessTokens() {
+      accessTokens.clear();
+    }
+  };
+}
+
+if (require.main === module) {
+  const port = parseInt(process.argv[2], 10) || 8182;
+  createMockOAuthServer().server.listen(port, () => {
+    console.log(`Mock OAuth server on http://localhost:${port} (app key: test-app)`);
+  });
+}
+
+module.exports = { createMockOAuthServer };